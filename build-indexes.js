@@ -0,0 +1,49 @@
+const path = require('path');
+const { flagValue } = require('./lib/cli');
+const { loadProfiles, resolveProfile } = require('./lib/profiles');
+const { writeIndexes } = require('./lib/indexes');
+
+// Regenerates the hub, year and month index notes for each profile's journal
+// folder (see lib/indexes.js). Only the marked block in each index note is
+// rewritten; run it after an import, or daily to keep "On this day" current.
+//
+//   node build-indexes.js
+//   node build-indexes.js --profile scripture --dry-run
+//
+// ── Command line ───────────────────────────────────────────────────────────────
+// --profile <name>   only this profile from import-profiles.json (default: all)
+// --vault <path>     Obsidian vault root, overriding the profiles'
+// --dry-run          list the index notes that would be created or updated
+
+const PROFILE_NAME = flagValue('profile', null);
+const VAULT = flagValue('vault', null);
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// ── Main ───────────────────────────────────────────────────────────────────────
+
+function main() {
+  const names = PROFILE_NAME ? [PROFILE_NAME] : Object.keys(loadProfiles());
+  const done = new Set();
+
+  for (const name of names) {
+    const profile = resolveProfile(name, VAULT ? { vault: VAULT } : {});
+    // Profiles sharing a folder and hub share their indexes
+    const key = `${profile.journalDir}|${profile.hubLink}`;
+    if (done.has(key)) continue;
+    done.add(key);
+
+    const { created, updated, unchanged } = writeIndexes(profile, { dryRun: DRY_RUN });
+    const inVault = p => path.relative(profile.vault, p);
+    console.log(`Profile: ${name} → ${profile.journalDir}`);
+    for (const filePath of created) console.log(`  ${DRY_RUN ? 'Would create' : 'Created'}: ${inVault(filePath)}`);
+    for (const filePath of updated) console.log(`  ${DRY_RUN ? 'Would update' : 'Updated'}: ${inVault(filePath)}`);
+    console.log(`  ${created.length} new, ${updated.length} updated, ${unchanged.length} unchanged${DRY_RUN ? ' (dry run)' : ''}\n`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,101 @@
+const path = require('path');
+const { flagValue } = require('./lib/cli');
+const { EXPORT_MEDIA_FOLDERS, readExport } = require('./lib/dayone-export');
+const { findMediaFile, loadJournalMap, syncEntries, syncSummary } = require('./lib/dayone');
+const { expandHome } = require('./lib/profiles');
+
+// Imports a Day One JSON export zip into the vault, with the same notes and
+// layout as dayone-import.js, on any machine (no Day One app or sqlite3 needed).
+//
+//   node dayone-export-import.js ~/Downloads/Export-Journal.zip
+//
+// ── Command line ───────────────────────────────────────────────────────────────
+// <export.zip>       the zip from Day One's File → Export → JSON
+// --vault <path>     Obsidian vault root (default: ~/Documents/My Vault)
+// --dry-run          list what would be added, updated or archived; change nothing
+// --archive-deleted  move notes whose entry is missing from this export to Archive/Day One
+// --refresh          rewrite notes for unchanged entries too (after editing JOURNALS_FILE, say)
+
+const ZIP_PATH = process.argv.slice(2).find((arg, i, args) => !arg.startsWith('--') && args[i - 1] !== '--vault');
+const DRY_RUN = process.argv.includes('--dry-run');
+const ARCHIVE_DELETED = process.argv.includes('--archive-deleted');
+const REFRESH = process.argv.includes('--refresh');
+
+// ── Configuration ──────────────────────────────────────────────────────────────
+const VAULT_DIR = path.resolve(expandHome(flagValue('vault', '~/Documents/My Vault')));
+const OBSIDIAN_JOURNAL_DIR = path.join(VAULT_DIR, 'Personal', 'Journals');
+const ATTACHMENTS_DIR = path.join(VAULT_DIR, 'Attachments', 'Day One');
+const ARCHIVE_DIR = path.join(VAULT_DIR, 'Archive', 'Day One');
+const EMBED_STYLE = 'obsidian';  // ![[file.jpg]]; 'markdown' for ![](relative/path/file.jpg)
+// Its own state (deletions are judged against the previous export), but the
+// same registry as dayone-import.js, so an entry is one note whichever way it came in
+const STATE_FILE = path.join(__dirname, 'dayone-export-sync-state.json');
+const REGISTRY_FILE = path.join(__dirname, 'registry', 'dayone.json');
+// Optional: { "<Day One journal>": { "folder": "Travel", "tag": "travel" } }
+const JOURNALS_FILE = path.join(__dirname, 'dayone-journals.json');
+
+// ── Main ───────────────────────────────────────────────────────────────────────
+
+async function main() {
+  if (!ZIP_PATH) {
+    console.error('Usage: node dayone-export-import.js <export.zip> [--vault <path>] [--dry-run] [--archive-deleted] [--refresh]');
+    process.exit(1);
+  }
+
+  let journals;
+  try {
+    journals = loadJournalMap(JOURNALS_FILE);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  let exported;
+  try {
+    exported = readExport(path.resolve(ZIP_PATH));
+  } catch (err) {
+    console.error(`Could not read ${ZIP_PATH}: ${err.message}`);
+    process.exit(1);
+  }
+
+  try {
+    const names = [...new Set(exported.entries.map(e => e.journal))];
+    console.log(`Read ${exported.entries.length} entries from ${names.join(', ')} → ${OBSIDIAN_JOURNAL_DIR}\n`);
+
+    const result = await syncEntries(exported.entries, {
+      stateFile: STATE_FILE,
+      registryFile: REGISTRY_FILE,
+      journalDir: OBSIDIAN_JOURNAL_DIR,
+      attachmentsDir: ATTACHMENTS_DIR,
+      attachments: exported.attachments,
+      findFile: (attachment, kind) => findMediaFile(exported.mediaDir, attachment, kind, EXPORT_MEDIA_FOLDERS),
+      embedStyle: EMBED_STYLE,
+      dryRun: DRY_RUN,
+      archiveDeleted: ARCHIVE_DELETED,
+      archiveDir: ARCHIVE_DIR,
+      journals,
+      refresh: REFRESH,
+      // An export may hold only some journals; the others' notes stay put
+      scopeToJournals: true,
+    });
+
+    for (const line of syncSummary(result, {
+      total: exported.entries.length,
+      dryRun: DRY_RUN,
+      archiveDeleted: ARCHIVE_DELETED,
+      vaultDir: VAULT_DIR,
+      archiveDir: ARCHIVE_DIR,
+      attachmentsDir: ATTACHMENTS_DIR,
+      missingMedia: 'were not in the export; they are marked in the notes and retried with the next export.',
+    })) {
+      console.log(line);
+    }
+  } finally {
+    exported.cleanup();
+  }
+}
+
+main().catch(err => {
+  console.error('Unexpected error:', err);
+  process.exit(1);
+});
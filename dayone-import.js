@@ -1,23 +1,42 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { describeLocation, findMediaFile, loadJournalMap, syncEntries, syncSummary } = require('./lib/dayone');
+
+// ── Command line ───────────────────────────────────────────────────────────────
+// --dry-run          list what would be added, updated or archived; change nothing
+// --archive-deleted  move notes whose Day One entry was deleted to ARCHIVE_DIR
+// --refresh          rewrite notes for unchanged entries too (after editing JOURNALS_FILE, say)
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const ARCHIVE_DELETED = process.argv.includes('--archive-deleted');
+const REFRESH = process.argv.includes('--refresh');
 
 // ── Configuration ──────────────────────────────────────────────────────────────
 const DB_PATH = '/Users/nathanbullock/Library/Group Containers/5U8NS4GX82.dayoneapp2/Data/Documents/DayOne.sqlite';
-const OBSIDIAN_JOURNAL_DIR = '/Users/nathanbullock/Documents/My Vault/Personal/Journals';
+const MEDIA_DIR = path.dirname(DB_PATH);
+const VAULT_DIR = '/Users/nathanbullock/Documents/My Vault';
+const OBSIDIAN_JOURNAL_DIR = path.join(VAULT_DIR, 'Personal', 'Journals');
+const ATTACHMENTS_DIR = path.join(VAULT_DIR, 'Attachments', 'Day One');
+const ARCHIVE_DIR = path.join(VAULT_DIR, 'Archive', 'Day One');
+const EMBED_STYLE = 'obsidian';  // ![[file.jpg]]; 'markdown' for ![](relative/path/file.jpg)
 const STATE_FILE = path.join(__dirname, 'dayone-sync-state.json');
+const REGISTRY_FILE = path.join(__dirname, 'registry', 'dayone.json');
+// Optional: { "<Day One journal>": { "folder": "Travel", "tag": "travel" } }
+const JOURNALS_FILE = path.join(__dirname, 'dayone-journals.json');
 
 // ── Helpers ────────────────────────────────────────────────────────────────────
 
-function loadSyncedUUIDs() {
-  if (fs.existsSync(STATE_FILE)) {
-    return new Set(JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).syncedUUIDs || []);
-  }
-  return new Set();
-}
+// Core Data stores times as seconds since 2001-01-01 UTC
+const CORE_DATA_EPOCH = 978307200;
 
-function saveSyncedUUIDs(uuids) {
-  fs.writeFileSync(STATE_FILE, JSON.stringify({ syncedUUIDs: [...uuids] }, null, 2));
+function runQuery(sql) {
+  const result = execSync(
+    `sqlite3 "${DB_PATH}" ".mode json" "${sql.replace(/"/g, '\\"')}"`,
+    { maxBuffer: 50 * 1024 * 1024 }
+  );
+  // sqlite3 prints nothing at all for an empty result
+  return JSON.parse(result.toString() || '[]');
 }
 
 function queryEntries() {
@@ -28,116 +47,142 @@ function queryEntries() {
       e.ZGREGORIANDAY   AS dy,
       e.ZUUID           AS uuid,
       e.ZSTARRED        AS starred,
+      e.ZMODIFIEDDATE   AS modified,
       e.ZMARKDOWNTEXT   AS text,
+      strftime('%Y-%m-%dT%H:%M:%SZ', e.ZCREATIONDATE + ${CORE_DATA_EPOCH}, 'unixepoch') AS created,
+      hex(e.ZTIMEZONE)  AS timeZone,
+      j.ZNAME           AS journal,
+      l.ZPLACENAME      AS placeName,
+      l.ZLOCALITYNAME   AS localityName,
+      l.ZADMINISTRATIVEAREA AS administrativeArea,
+      l.ZCOUNTRY        AS country,
+      l.ZLATITUDE       AS latitude,
+      l.ZLONGITUDE      AS longitude,
+      w.ZCONDITIONSDESCRIPTION AS conditions,
+      w.ZTEMPERATURECELSIUS    AS temperatureC,
       GROUP_CONCAT(t.ZNAME, '|||') AS tags
     FROM ZENTRY e
+    LEFT JOIN ZJOURNAL j  ON j.Z_PK = e.ZJOURNAL
+    LEFT JOIN ZLOCATION l ON l.Z_PK = e.ZLOCATION
+    LEFT JOIN ZWEATHER w  ON w.Z_PK = e.ZWEATHER
     LEFT JOIN Z_17TAGS jt ON jt.Z_17ENTRIES = e.Z_PK
     LEFT JOIN ZTAG t      ON t.Z_PK = jt.Z_66TAGS1
-    WHERE e.ZMARKDOWNTEXT IS NOT NULL AND e.ZMARKDOWNTEXT != ''
     GROUP BY e.Z_PK
     ORDER BY e.ZGREGORIANYEAR, e.ZGREGORIANMONTH, e.ZGREGORIANDAY, e.ZCREATIONDATE
   `.trim().replace(/\s+/g, ' ');
 
-  const result = execSync(
-    `sqlite3 "${DB_PATH}" ".mode json" "${sql.replace(/"/g, '\\"')}"`,
-    { maxBuffer: 50 * 1024 * 1024 }
-  );
-  return JSON.parse(result.toString());
+  return runQuery(sql);
+}
+
+// Moment ID (as used in dayone-moment:// links) → { md5, type }
+function queryAttachments() {
+  const rows = runQuery('SELECT ZIDENTIFIER AS id, ZMD5 AS md5, ZTYPE AS type FROM ZATTACHMENT WHERE ZMD5 IS NOT NULL');
+  return new Map(rows.map(row => [row.id, { md5: row.md5, type: row.type || 'jpeg' }]));
 }
 
 function formatDate(yr, mo, dy) {
   return `${yr}-${String(mo).padStart(2, '0')}-${String(dy).padStart(2, '0')}`;
 }
 
-const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
-                     'July', 'August', 'September', 'October', 'November', 'December'];
-
-function resolveOutputPath(date) {
-  const [year, month] = date.split('-');
-  const monthFolder = `${month} - ${MONTH_NAMES[parseInt(month) - 1]}`;
-  const dir = path.join(OBSIDIAN_JOURNAL_DIR, year, monthFolder);
-  fs.mkdirSync(dir, { recursive: true });
-  let filePath = path.join(dir, `${date}.md`);
-  let suffix = 2;
-  while (fs.existsSync(filePath)) {
-    filePath = path.join(dir, `${date}-${suffix}.md`);
-    suffix++;
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: name });
+    return true;
+  } catch {
+    return false;
   }
-  return filePath;
 }
 
-function hasMediaAttachment(text) {
-  return /!\[\]\(dayone-moment:\/(photo|video)\/[A-Z0-9]+\)/.test(text);
+// ZTIMEZONE is an archived NSTimeZone; its name (America/Denver) is stored as
+// plain text inside it, though the bytes after it may read as letters too
+function timeZoneName(hex) {
+  if (!hex) return null;
+  const archived = Buffer.from(hex, 'hex').toString('latin1');
+  for (const [candidate] of archived.matchAll(/[A-Z][A-Za-z_-]+(?:\/[A-Za-z0-9_+-]+)+|\b(?:UTC|GMT)/g)) {
+    for (let end = candidate.length; end > 2; end--) {
+      if (isTimeZone(candidate.slice(0, end))) return candidate.slice(0, end);
+    }
+  }
+  return null;
 }
 
-function buildFrontmatter(date, uuid, starred, tags) {
-  const tagList = ['journal', 'day-one'];
-  if (starred) tagList.push('starred');
-  if (tags) {
-    tags.split('|||').forEach(t => {
-      const clean = t.trim();
-      if (clean) tagList.push(clean.toLowerCase().replace(/\s+/g, '-'));
-    });
-  }
-  return `---\ndate: ${date}\ntags: [${tagList.join(', ')}]\ndayone-id: ${uuid}\n---`;
+// Rows → the plain entries lib/dayone.js works with
+function toEntry(row) {
+  return {
+    uuid: row.uuid,
+    date: formatDate(row.yr, row.mo, row.dy),
+    modified: row.modified,
+    starred: Boolean(row.starred),
+    tags: row.tags ? row.tags.split('|||') : [],
+    text: row.text || '',
+    created: row.created,
+    timeZone: timeZoneName(row.timeZone),
+    journal: row.journal,
+    location: describeLocation(row),
+    weather: row.conditions || typeof row.temperatureC === 'number'
+      ? { conditions: row.conditions, temperatureC: typeof row.temperatureC === 'number' ? Math.round(row.temperatureC * 10) / 10 : null }
+      : null,
+  };
 }
 
 // ── Main ───────────────────────────────────────────────────────────────────────
 
-function main() {
+async function main() {
   if (!fs.existsSync(DB_PATH)) {
     console.error('Day One database not found. Make sure Day One is installed.');
     process.exit(1);
   }
 
-  const syncedUUIDs = loadSyncedUUIDs();
   let entries;
+  let attachments;
+  let journals;
 
   try {
-    entries = queryEntries();
+    journals = loadJournalMap(JOURNALS_FILE);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  try {
+    entries = queryEntries().map(toEntry);
+    attachments = queryAttachments();
   } catch (err) {
     console.error('Failed to read Day One database:', err.message);
     console.error('Try closing Day One and running again if this persists.');
     process.exit(1);
   }
 
-  const newEntries = entries.filter(e => !syncedUUIDs.has(e.uuid));
-
-  if (newEntries.length === 0) {
-    console.log(`All ${entries.length} Day One entries already synced. Nothing to do.`);
-    return;
+  const result = await syncEntries(entries, {
+    stateFile: STATE_FILE,
+    registryFile: REGISTRY_FILE,
+    journalDir: OBSIDIAN_JOURNAL_DIR,
+    attachmentsDir: ATTACHMENTS_DIR,
+    attachments,
+    findFile: (attachment, kind) => findMediaFile(MEDIA_DIR, attachment, kind),
+    embedStyle: EMBED_STYLE,
+    dryRun: DRY_RUN,
+    archiveDeleted: ARCHIVE_DELETED,
+    archiveDir: ARCHIVE_DIR,
+    journals,
+    refresh: REFRESH,
+  });
+
+  for (const line of syncSummary(result, {
+    total: entries.length,
+    dryRun: DRY_RUN,
+    archiveDeleted: ARCHIVE_DELETED,
+    vaultDir: VAULT_DIR,
+    archiveDir: ARCHIVE_DIR,
+    attachmentsDir: ATTACHMENTS_DIR,
+    missingMedia: `were not found in ${MEDIA_DIR}; they are marked in the notes.\nTheir entries are checked again on the next run, once Day One has downloaded the media from sync.`,
+  })) {
+    console.log(line);
   }
-
-  console.log(`Found ${newEntries.length} new entries to sync (${entries.length - newEntries.length} already done).\n`);
-
-  let written = 0;
-  let skipped = 0;
-
-  for (const entry of newEntries) {
-    const date = formatDate(entry.yr, entry.mo, entry.dy);
-    const rawText = entry.text || '';
-
-    if (!rawText.trim() || hasMediaAttachment(rawText)) {
-      skipped++;
-      syncedUUIDs.add(entry.uuid);
-      continue;
-    }
-
-    const frontmatter = buildFrontmatter(date, entry.uuid, entry.starred, entry.tags);
-    const content = `${frontmatter}\n\n${rawText.trim()}\n\n[[Journal Hub]]\n`;
-    const filePath = resolveOutputPath(date);
-    const filename = path.basename(filePath);
-
-    fs.writeFileSync(filePath, content, 'utf8');
-    syncedUUIDs.add(entry.uuid);
-    console.log(`✓ ${date} → ${filename}`);
-    written++;
-  }
-
-  saveSyncedUUIDs(syncedUUIDs);
-
-  console.log(`\nDone. Wrote ${written} entries${skipped ? `, skipped ${skipped} empty` : ''}.`);
-  console.log('Run again anytime to sync new Day One entries.');
+  if (!DRY_RUN) console.log('Run again anytime to sync new Day One entries.');
 }
 
-main();
+main().catch(err => {
+  console.error('Unexpected error:', err);
+  process.exit(1);
+});
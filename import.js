@@ -1,235 +1,525 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const Anthropic = require('@anthropic-ai/sdk');
-
-// ── Configuration ──────────────────────────────────────────────────────────────
-const INPUT_DIR = path.join(__dirname, 'input');
-const DONE_DIR = path.join(__dirname, 'done');
-const OBSIDIAN_JOURNAL_DIR = '/Users/nathanbullock/Documents/My Vault/Personal/Journals';
-const PROGRESS_FILE = path.join(__dirname, 'progress.json');
-
-const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+const { ENGINES, createEngine } = require('./lib/ocr-engines');
+const { applyPage } = require('./lib/stitch');
+const { preprocessImage } = require('./lib/preprocess');
+const { convertInputFolder } = require('./lib/input-formats');
+const { withRetry, runPool } = require('./lib/retry');
+const { checkEntryDate } = require('./lib/date-check');
+const { notesFromPages, removeNote } = require('./lib/registry');
+const { flagValue } = require('./lib/cli');
+const { ROOT_DIR, loadProfiles, resolveProfile } = require('./lib/profiles');
+const vault = require('./lib/vault');
+const staging = require('./lib/staging');
+
+// ── Command line ───────────────────────────────────────────────────────────────
+// --profile <name>   which notebook profile from import-profiles.json (default: journal)
+// --vault <path>     Obsidian vault root, overriding the profile's
+// --input <dir>      folder of page images, overriding the profile's
+// --engine anthropic | google-vision | tesseract   (default: anthropic)
+// --stage            hold entries for review in the web app instead of writing them
+// --no-preprocess    send photos to OCR as-is (skip rotate/crop/deskew/contrast/downscale)
+// --concurrency <n>  pages transcribed at once (default: 3)
+// --retries <n>      retries per page for rate limits and other transient errors (default: 4)
+// --redo <pages>     transcribe pages again and rewrite their notes: 3, 3-5, 2,7-9 or a file name
+// --list-profiles    show the configured profiles and exit
+
+const PROFILE_NAME = flagValue('profile', 'journal');
+const ENGINE_NAME = flagValue('engine', 'anthropic');
+const STAGE = process.argv.includes('--stage');
+const PREPROCESS = !process.argv.includes('--no-preprocess');
+const CONCURRENCY = Math.max(1, parseInt(flagValue('concurrency', '3'), 10) || 1);
+const RETRIES = Math.max(0, parseInt(flagValue('retries', '4'), 10) || 0);
+const ENGINE_API_KEYS = {
+  anthropic: process.env.ANTHROPIC_API_KEY,
+  'google-vision': process.env.GOOGLE_CLOUD_API_KEY,
+};
 
 // ── Helpers ────────────────────────────────────────────────────────────────────
 
+// Paths inside the repo read better relative (e.g. "input-scripture/")
+function displayPath(p) {
+  const rel = path.relative(ROOT_DIR, p);
+  return rel && !rel.startsWith('..') ? `${rel}/` : p;
+}
+
 function journalLabel(filename) {
   // Extract date prefix if present (e.g. "1987-06-15_001.jpg" → "1987-06-15")
   const match = filename.match(/^(\d{4}-\d{2}-\d{2})/);
   return match ? match[1] : null;
 }
 
-function loadProgress() {
-  if (fs.existsSync(PROGRESS_FILE)) {
-    return JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf8'));
+// pages:        pages already stitched, { [file]: { hash, result } }; a page
+//               whose image no longer matches its hash is done again
+// pendingEntry: entry running on past the last stitched page
+// transcribed:  OCR results for later pages waiting for an earlier page, { [file]: { hash, result } }
+// failedPages:  pages that still failed after every retry
+// dateCheck:    journal label and last accepted date, for checking the next entry's date
+function loadProgress(profile) {
+  const defaults = {
+    pages: {},
+    pendingEntry: null,
+    transcribed: {},
+    failedPages: [],
+    dateCheck: { label: null, previousDate: null },
+  };
+  if (fs.existsSync(profile.progressFile)) {
+    return { ...defaults, ...JSON.parse(fs.readFileSync(profile.progressFile, 'utf8')) };
+  }
+  return defaults;
+}
+
+// Older progress files counted finished pages by position in the file list
+function upgradeProgress(state, allFiles, hashes) {
+  if (state.lastCompletedPage === undefined) return;
+  for (const file of allFiles.slice(0, state.lastCompletedPage + 1)) {
+    state.pages[file] = { hash: hashes[file], result: null };
+  }
+  for (const [file, result] of Object.entries(state.transcribed)) {
+    if (!result.hash) state.transcribed[file] = { hash: hashes[file], result };
   }
-  return { lastCompletedPage: -1, pendingEntry: null };
+  delete state.lastCompletedPage;
+}
+
+function saveProgress(profile, state) {
+  fs.writeFileSync(profile.progressFile, JSON.stringify(state, null, 2));
 }
 
-function saveProgress(state) {
-  fs.writeFileSync(PROGRESS_FILE, JSON.stringify(state, null, 2));
+function pageHash(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 16);
 }
 
-const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
-                     'July', 'August', 'September', 'October', 'November', 'December'];
+// Word boxes are only drawn by the web app; leave them out of the progress file
+function storedResult({ words, ...result }) {
+  return result;
+}
 
-function resolveOutputPath(date) {
-  const [year, month] = date.split('-');
-  const monthFolder = `${month} - ${MONTH_NAMES[parseInt(month) - 1]}`;
-  const dir = path.join(OBSIDIAN_JOURNAL_DIR, year, monthFolder);
-  fs.mkdirSync(dir, { recursive: true });
-  let filePath = path.join(dir, `${date}.md`);
-  let suffix = 2;
-  while (fs.existsSync(filePath)) {
-    filePath = path.join(dir, `${date}-${suffix}.md`);
-    suffix++;
+function listPages(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => /\.(jpg|jpeg|png|gif|webp)$/i.test(f))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Page numbers count through the input folder, as the importer reports them.
+// File names may also name pages already archived to the done folder.
+function parseRedo(spec, allFiles, doneFiles) {
+  const files = new Set();
+  for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+    const range = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (range) {
+      const from = Number(range[1]);
+      const to = Number(range[2] || range[1]);
+      if (allFiles.length === 0) {
+        throw new Error(`--redo ${part}: the input folder is empty; name archived pages by file name.`);
+      }
+      if (from < 1 || to < from || to > allFiles.length) {
+        throw new Error(`--redo ${part}: pages are numbered 1 to ${allFiles.length}.`);
+      }
+      allFiles.slice(from - 1, to).forEach(file => files.add(file));
+    } else if (allFiles.includes(part) || doneFiles.includes(part)) {
+      files.add(part);
+    } else {
+      throw new Error(`--redo ${part}: no such page in the input or done folder.`);
+    }
   }
-  return filePath;
+  return [...files];
+}
+
+const WRITE_STATUS = { created: '', updated: ' (updated)', unchanged: ' (unchanged)' };
+
+function writeEntry(profile, entry) {
+  const { filePath, status } = vault.writeEntry(profile, entry);
+  return `${path.basename(filePath)}${WRITE_STATUS[status]}`;
+}
+
+function stageEntry(profile, entry, pagePath) {
+  staging.stageEntry(profile, entry, pagePath);
+  return `${entry.date} (staged)`;
 }
 
-function writeEntry(date, text) {
-  const filePath = resolveOutputPath(date);
-  const content = `---\ndate: ${date}\ntags: [journal, handwritten]\n---\n\n${text.trim()}\n\n[[Journal Hub]]\n`;
-  fs.writeFileSync(filePath, content, 'utf8');
-  return path.basename(filePath);
+// Writes (or stages) a completed entry. One whose date fails the checks in
+// lib/date-check.js is staged for review in any mode, with the problems
+// attached, and doesn't count as the previous date for the entries after it.
+// `pagePath` finds page images outside the input folder (redone archived pages).
+function fileEntry(profile, entry, dateCheck, flagged, pagePath) {
+  const label = journalLabel(entry.pages[0]);
+  if (label !== dateCheck.label) {
+    dateCheck.label = label;
+    dateCheck.previousDate = null;
+  }
+  if (profile.dateChecks) {
+    const { problems, suggestedDate } = checkEntryDate(entry.date, { ...profile.dateChecks, label, previousDate: dateCheck.previousDate });
+    if (problems.length > 0) {
+      staging.stageEntry(profile, { ...entry, problems, suggestedDate }, pagePath);
+      flagged.push({ ...entry, problems, suggestedDate });
+      return `${entry.date} (flagged for review)`;
+    }
+  }
+  dateCheck.previousDate = entry.date;
+  return STAGE ? stageEntry(profile, entry, pagePath) : writeEntry(profile, entry);
 }
 
-function archivePage(filename) {
-  fs.mkdirSync(DONE_DIR, { recursive: true });
-  fs.renameSync(path.join(INPUT_DIR, filename), path.join(DONE_DIR, filename));
+function archivePage(profile, filename) {
+  fs.mkdirSync(profile.doneDir, { recursive: true });
+  fs.renameSync(path.join(profile.inputDir, filename), path.join(profile.doneDir, filename));
 }
 
-async function processPage(imageFile) {
-  const imageData = fs.readFileSync(imageFile);
-  const base64 = imageData.toString('base64');
+async function processPage(engine, imageFile) {
+  const buffer = fs.readFileSync(imageFile);
+  const label = path.basename(imageFile);
+  if (PREPROCESS) {
+    const cleaned = await preprocessImage(buffer);
+    return engine.transcribe(cleaned.buffer, { mediaType: cleaned.mediaType, label });
+  }
   const ext = path.extname(imageFile).toLowerCase();
   const mediaType = ext === '.png' ? 'image/png' : ext === '.gif' ? 'image/gif' : ext === '.webp' ? 'image/webp' : 'image/jpeg';
-
-  const response = await client.messages.create({
-    model: 'claude-opus-4-8',
-    max_tokens: 4096,
-    messages: [
-      {
-        role: 'user',
-        content: [
-          {
-            type: 'image',
-            source: { type: 'base64', media_type: mediaType, data: base64 },
-          },
-          {
-            type: 'text',
-            text: `You are transcribing a handwritten personal journal page. Transcribe it accurately, preserving the author's voice, spelling, and punctuation.
-
-This page may contain:
-- Multiple journal entries from different dates on the same page
-- An entry that continues from the previous page (no date at the top — it just picks up mid-sentence)
-- An entry that runs off the bottom and continues on the next page
-
-Return ONLY a JSON object in this exact format — no markdown, no explanation, just the JSON:
-
-{
-  "is_continuation": <true if this page begins mid-entry with no new date, false otherwise>,
-  "entries": [
-    {
-      "date": "<YYYY-MM-DD format, e.g. 2019-06-03>",
-      "text": "<full transcribed text of this entry or entry segment>",
-      "continues": <true if this entry runs off the bottom of the page, false if it ends on this page>
-    }
-  ]
+  return engine.transcribe(buffer, { mediaType, label });
 }
 
-If is_continuation is true, the first item in entries should have "date": null.
-If you cannot confidently read a date, make your best guess based on context clues. Do not skip any text.`,
-          },
-        ],
-      },
-    ],
+// `name` labels the retry messages, e.g. "Page 3 (2019-01-01_003.jpg)"
+function transcribePage(engine, imageFile, name) {
+  return withRetry(() => processPage(engine, imageFile), {
+    retries: RETRIES,
+    onRetry: (err, attempt, delayMs) => {
+      console.log(`  ↻ ${name}: ${err.message} — retrying in ${Math.round(delayMs / 1000)}s (${attempt} of ${RETRIES})`);
+    },
   });
+}
 
-  const raw = response.content[0].text.trim();
-  // Strip markdown code fences if Claude wraps the JSON
-  const jsonStr = raw.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
-  return JSON.parse(jsonStr);
+function listProfiles() {
+  const profiles = loadProfiles();
+  for (const [name, p] of Object.entries(profiles)) {
+    console.log(`${name.padEnd(14)} ${p.description || ''}`);
+    console.log(`${''.padEnd(14)} ${p.inputDir} → ${path.join(p.vault || '?', p.folder || '?')}`);
+  }
 }
 
 // ── Main ───────────────────────────────────────────────────────────────────────
 
 async function main() {
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.error('Error: ANTHROPIC_API_KEY is not set. Add it to journal-scanner/.env');
+  if (process.argv.includes('--list-profiles')) {
+    listProfiles();
+    return;
+  }
+
+  let profile;
+  try {
+    profile = resolveProfile(PROFILE_NAME, { vault: flagValue('vault'), inputDir: flagValue('input') });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
     process.exit(1);
   }
 
-  const allFiles = fs.readdirSync(INPUT_DIR)
-    .filter(f => /\.(jpg|jpeg|png|gif|webp)$/i.test(f))
-    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  let engine;
+  try {
+    engine = createEngine(ENGINE_NAME, {
+      apiKey: ENGINE_API_KEYS[ENGINE_NAME],
+      subject: profile.subject,
+      promptNotes: profile.promptNotes,
+      rawResponseDir: profile.rawResponseDir,
+    });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    if (ENGINES[ENGINE_NAME]) {
+      console.error(`Set ANTHROPIC_API_KEY (or GOOGLE_CLOUD_API_KEY for --engine google-vision) in ${path.join(ROOT_DIR, '.env')}`);
+    }
+    process.exit(1);
+  }
+
+  const progressName = path.basename(profile.progressFile);
+  const inputName = displayPath(profile.inputDir);
+
+  fs.mkdirSync(profile.inputDir, { recursive: true });
+
+  // HEIC, TIFF and PDF files become numbered JPEG pages; originals go to the done folder
+  for (const result of await convertInputFolder(profile.inputDir, profile.doneDir)) {
+    if (result.error) {
+      console.error(`Could not convert ${result.file}: ${result.error} It was left in ${inputName}.`);
+    } else {
+      console.log(`Converted ${result.file} → ${result.pages.length} page${result.pages.length === 1 ? '' : 's'}`);
+    }
+  }
 
-  if (allFiles.length === 0) {
-    console.log('No images found in the input/ folder. Add your journal page photos and run again.');
+  const allFiles = listPages(profile.inputDir);
+  const redoSpec = flagValue('redo');
+
+  if (allFiles.length === 0 && !redoSpec) {
+    console.log(`No images found in ${inputName}. Add your ${profile.subject} page photos and run again.`);
     return;
   }
 
+  console.log(`Profile: ${profile.name} → ${profile.journalDir}`);
+
   // Show which journal(s) are being processed
   const labels = [...new Set(allFiles.map(journalLabel).filter(Boolean))];
   if (labels.length > 0) {
     console.log(`Journal(s) detected: ${labels.join(', ')}`);
   }
 
-  let state = loadProgress();
+  const hashes = Object.fromEntries(allFiles.map(file => [file, pageHash(path.join(profile.inputDir, file))]));
+  const state = loadProgress(profile);
+  upgradeProgress(state, allFiles, hashes);
+  // Pages removed from the input folder are simply forgotten; their notes stay
+  for (const file of Object.keys(state.pages)) {
+    if (!hashes[file]) delete state.pages[file];
+  }
   let { pendingEntry } = state;
+  const isDone = file => state.pages[file] && state.pages[file].hash === hashes[file];
+  const pageNumber = file => allFiles.indexOf(file) + 1;
+  const pageName = file => (hashes[file] ? `Page ${pageNumber(file)} (${file})` : file);
 
-  const startIndex = state.lastCompletedPage + 1;
+  // Stitching carries on after the last stitched page. Pages before it that
+  // are new or were re-photographed are redone along with any --redo pages.
+  const startIndex = allFiles.findLastIndex(isDone) + 1;
   const remaining = allFiles.slice(startIndex);
+  let redoFiles;
+  try {
+    redoFiles = redoSpec ? parseRedo(redoSpec, allFiles, listPages(profile.doneDir)) : [];
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  for (const file of allFiles.slice(0, startIndex).filter(f => !isDone(f))) {
+    console.log(`${pageName(file)} is new or has changed since it was stitched; redoing it.`);
+    if (!redoFiles.includes(file)) redoFiles.push(file);
+  }
+  redoFiles = redoFiles.filter(file => !remaining.includes(file));
 
-  if (remaining.length === 0) {
-    console.log('All pages already processed. Delete progress.json to start over.');
+  if (remaining.length === 0 && redoFiles.length === 0) {
+    if (!pendingEntry) {
+      finishRun(profile, allFiles);
+      return;
+    }
+    console.log(`All pages already processed. Use --redo <pages> to transcribe pages again, or delete ${progressName} to start over.`);
     return;
   }
 
-  console.log(`Found ${allFiles.length} pages. Starting from page ${startIndex + 1}.\n`);
-
-  let currentLabel = null;
+  const failedPages = [];
+  const flaggedEntries = [];
 
-  for (let i = 0; i < remaining.length; i++) {
-    const file = remaining[i];
-    const pageNum = startIndex + i + 1;
-    const imagePath = path.join(INPUT_DIR, file);
-    const label = journalLabel(file);
+  if (remaining.length > 0) {
+    const { transcribed } = state;
+    const cachedResult = file => (transcribed[file] && transcribed[file].hash === hashes[file] ? transcribed[file].result : null);
+    const toTranscribe = remaining.filter(file => !cachedResult(file));
 
-    // Print a header when we move into a new journal
-    if (label && label !== currentLabel) {
-      currentLabel = label;
-      console.log(`\n── Journal started ${label} ──`);
-    }
+    console.log(`Found ${allFiles.length} pages. Starting from page ${startIndex + 1}. OCR engine: ${ENGINE_NAME}, ${CONCURRENCY} at a time\n`);
 
-    process.stdout.write(`  Page ${pageNum} of ${allFiles.length} (${file})... `);
+    let currentLabel = null;
+    let nextIndex = startIndex;
 
-    let parsed;
-    try {
-      parsed = await processPage(imagePath);
-    } catch (err) {
-      console.error(`\nFailed on ${file}: ${err.message}`);
-      console.error('Fix the issue and run again — progress is saved up to the previous page.');
-      process.exit(1);
-    }
+    // Pages finish in any order, but entries run across pages, so stitching
+    // only ever takes the next page in sequence once its transcription is in.
+    const stitchReady = () => {
+      while (nextIndex < allFiles.length && cachedResult(allFiles[nextIndex])) {
+        const file = allFiles[nextIndex];
+        const label = journalLabel(file);
 
-    const written = [];
+        // Print a header when we move into a new journal
+        if (label && label !== currentLabel) {
+          currentLabel = label;
+          console.log(`\n── Journal started ${label} ──`);
+        }
 
-    if (parsed.is_continuation && pendingEntry) {
-      const continuedText = parsed.entries[0]?.text || '';
-      pendingEntry.text += '\n\n' + continuedText;
+        const pageResult = cachedResult(file);
+        const result = applyPage(pendingEntry, pageResult, file);
+        pendingEntry = result.pendingEntry;
+        const written = result.completed.map(entry => fileEntry(profile, entry, state.dateCheck, flaggedEntries));
 
-      if (!parsed.entries[0]?.continues) {
-        const filename = writeEntry(pendingEntry.date, pendingEntry.text);
-        written.push(filename);
-        pendingEntry = null;
-      }
-
-      const rest = parsed.entries.slice(1);
-      for (const entry of rest) {
-        if (entry.continues) {
-          pendingEntry = { date: entry.date, text: entry.text };
+        const prefix = `  Page ${nextIndex + 1} of ${allFiles.length} (${file})...`;
+        if (written.length > 0) {
+          console.log(`${prefix} ✓ Wrote: ${written.join(', ')}`);
+        } else if (pendingEntry) {
+          console.log(`${prefix} → Entry for ${pendingEntry.date} continues on next page`);
         } else {
-          const filename = writeEntry(entry.date, entry.text);
-          written.push(filename);
+          console.log(`${prefix} ✓ (no complete entries yet)`);
         }
+
+        state.pages[file] = { hash: hashes[file], result: pageResult };
+        delete transcribed[file];
+        nextIndex++;
       }
-    } else {
-      for (const entry of parsed.entries) {
-        if (!entry.date) continue;
-        if (entry.continues) {
-          pendingEntry = { date: entry.date, text: entry.text };
-        } else {
-          const filename = writeEntry(entry.date, entry.text);
-          written.push(filename);
-        }
+      state.pendingEntry = pendingEntry;
+    };
+
+    await runPool(toTranscribe, CONCURRENCY, async file => {
+      try {
+        const result = await transcribePage(engine, path.join(profile.inputDir, file), pageName(file));
+        transcribed[file] = { hash: hashes[file], result: storedResult(result) };
+      } catch (err) {
+        failedPages.push({ file, error: err.message, attempts: err.attempts || 1 });
+        console.error(`  ✗ ${pageName(file)} failed: ${err.message}`);
       }
-    }
+      stitchReady();
+      state.failedPages = failedPages;
+      saveProgress(profile, state);
+    });
+    // Everything may already have been transcribed on an earlier run
+    stitchReady();
+  }
 
-    if (written.length > 0) {
-      console.log(`✓ Wrote: ${written.join(', ')}`);
-    } else if (pendingEntry) {
-      console.log(`→ Entry for ${pendingEntry.date} continues on next page`);
-    } else {
-      console.log(`✓ (no complete entries yet)`);
+  if (redoFiles.length > 0) {
+    await redoPages(profile, engine, redoFiles, { state, hashes, pageName, failedPages, flaggedEntries });
+    pendingEntry = state.pendingEntry;
+  }
+  state.failedPages = failedPages;
+  // A redo of archived pages alone leaves no batch to track
+  if (allFiles.length > 0) saveProgress(profile, state);
+
+  if (flaggedEntries.length > 0) {
+    console.log(`\n${flaggedEntries.length} ${flaggedEntries.length === 1 ? 'entry has a date that looks' : 'entries have dates that look'} wrong and ${flaggedEntries.length === 1 ? 'was' : 'were'} held for review instead of written:`);
+    for (const entry of flaggedEntries) {
+      const suggestion = entry.suggestedDate ? ` (perhaps ${entry.suggestedDate}?)` : '';
+      console.log(`  ${entry.date} from ${entry.pages.join(', ')}: ${entry.problems.join('; ')}${suggestion}`);
     }
+    console.log('Fix or confirm them in the web app\'s Review tab (node server.js).');
+  }
 
-    state = { lastCompletedPage: startIndex + i, pendingEntry };
-    saveProgress(state);
+  if (failedPages.length > 0) {
+    failedPages.sort((a, b) => pageNumber(a.file) - pageNumber(b.file));
+    const waiting = Object.keys(state.transcribed).length;
+    console.log(`\n${failedPages.length} page${failedPages.length === 1 ? '' : 's'} failed:`);
+    for (const failed of failedPages) {
+      console.log(`  ${pageName(failed.file)} after ${failed.attempts} attempt${failed.attempts === 1 ? '' : 's'}: ${failed.error}`);
+    }
+    if (waiting > 0) {
+      console.log(`${waiting} later page${waiting === 1 ? ' is' : 's are'} transcribed and saved in ${progressName}; they are written once the pages before them succeed.`);
+    }
+    console.log(`Run again to retry the failed pages, or remove a page from ${inputName} to skip it.`);
+    process.exitCode = 1;
+    return;
   }
 
+  if (allFiles.length === 0) return;
   if (pendingEntry) {
     console.log(`\nNote: The last entry (${pendingEntry.date}) appears to continue beyond the final page.`);
-    console.log('It has been saved to progress.json. Add more pages to the input/ folder and run again, or delete progress.json to flush it as-is.');
+    console.log(`It has been saved to ${progressName}. Add more pages to ${inputName} and run again, or delete ${progressName} to flush it as-is.`);
   } else {
-    console.log('\nDone! All journal entries written to Obsidian.');
-    console.log('Archiving processed images to done/...');
-    for (const file of allFiles) {
-      archivePage(file);
+    finishRun(profile, allFiles);
+  }
+}
+
+// Date of the last entry before `sequence[index]` in the same journal: from
+// the registry's notes for the pages before it, or else their saved OCR results
+function dateBefore(profile, state, sequence, index) {
+  const label = journalLabel(sequence[index]);
+  for (let i = index - 1; i >= 0 && journalLabel(sequence[i]) === label; i--) {
+    const saved = state.pages[sequence[i]];
+    const dates = [
+      ...notesFromPages(profile.registryFile, [sequence[i]]).map(note => note.date),
+      ...(saved && saved.result ? saved.result.entries : []).map(entry => entry.date),
+    ].filter(Boolean).sort();
+    if (dates.length) return dates[dates.length - 1];
+  }
+  return null;
+}
+
+// Re-transcribes `redoFiles` and rewrites the notes that came from them.
+// Stitching restarts at the first page of the earliest entry that touches a
+// redone page (stepping back while a page opens mid-entry) and runs until the
+// last such entry ends, so entries spanning a redone page come out whole.
+// Entries that don't touch a redone page are left as they are, and notes the
+// redone pages no longer produce are deleted.
+async function redoPages(profile, engine, redoFiles, { state, hashes, pageName, failedPages, flaggedEntries }) {
+  const sequence = [...new Set([...listPages(profile.inputDir), ...listPages(profile.doneDir)])]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const imagePath = file => path.join(hashes[file] ? profile.inputDir : profile.doneDir, file);
+  const redo = new Set(redoFiles);
+  const results = {};
+  let current = null;
+
+  console.log(`\nRedoing ${redoFiles.length} page${redoFiles.length === 1 ? '' : 's'}: ${redoFiles.join(', ')}`);
+
+  // Neighbouring pages come from the progress file while it still has them
+  const resultOf = async file => {
+    current = file;
+    if (!results[file]) {
+      const saved = state.pages[file];
+      results[file] = saved && saved.result && saved.hash === hashes[file]
+        ? saved.result
+        : storedResult(await transcribePage(engine, imagePath(file), pageName(file)));
     }
-    fs.unlinkSync(PROGRESS_FILE);
-    console.log(`Moved ${allFiles.length} pages to done/. input/ is clear for the next journal.`);
+    return results[file];
+  };
+
+  const oldNotes = notesFromPages(profile.registryFile, redoFiles);
+  const indexes = [...redoFiles, ...oldNotes.flatMap(note => note.pages)]
+    .map(file => sequence.indexOf(file))
+    .filter(i => i !== -1);
+  let start = Math.min(...indexes);
+  const end = Math.max(...indexes);
+  const completed = [];
+  let pending = null;
+  try {
+    await runPool(redoFiles, CONCURRENCY, async file => {
+      results[file] = storedResult(await transcribePage(engine, imagePath(file), pageName(file)));
+    });
+    while (start > 0 && (await resultOf(sequence[start])).isContinuation) start--;
+    for (let i = start; i < sequence.length && (i <= end || pending); i++) {
+      const result = applyPage(pending, await resultOf(sequence[i]), sequence[i]);
+      pending = result.pendingEntry;
+      completed.push(...result.completed);
+    }
+  } catch (err) {
+    const file = redoFiles.find(f => !results[f]) || current;
+    failedPages.push({ file, error: err.message, attempts: err.attempts || 1 });
+    console.error(`  ✗ ${pageName(file)} failed: ${err.message}. Nothing was rewritten.`);
+    return;
+  }
+
+  if (pending && pending.pages.some(page => redo.has(page))) {
+    // Still running off the last page: it stays open for the next pages of this batch
+    if (hashes[pending.pages[pending.pages.length - 1]]) state.pendingEntry = pending;
+    else completed.push(pending);
+  }
+
+  // Redone entries are date-checked against the entry before them, as on the first run
+  const dateCheck = { label: journalLabel(sequence[start]), previousDate: dateBefore(profile, state, sequence, start) };
+  const redone = completed.filter(entry => entry.pages.some(page => redo.has(page)));
+  for (const entry of completed) {
+    if (!redone.includes(entry)) {
+      if (entry.date) Object.assign(dateCheck, { label: journalLabel(entry.pages[0]), previousDate: entry.date });
+      continue;
+    }
+    console.log(`  ${entry.pages.join(' + ')} ✓ Wrote: ${fileEntry(profile, entry, dateCheck, flaggedEntries, imagePath)}`);
+  }
+  const produced = new Set([...redone, ...(state.pendingEntry ? [state.pendingEntry] : [])].map(vault.entrySource));
+  for (const note of oldNotes.filter(n => !produced.has(n.source))) {
+    removeNote(profile.registryFile, note.source);
+    console.log(`  Removed ${path.basename(note.path)} (no longer found on ${note.pages.join(' + ')})`);
+  }
+  for (const file of redoFiles) {
+    if (hashes[file]) state.pages[file] = { hash: hashes[file], result: results[file] };
+  }
+}
+
+// Archives the pages once every entry from them is in the vault. Pages with
+// entries still awaiting review stay put (and progress is kept) so a later
+// run can finish the job after approval. Returns true if it archived.
+function finishRun(profile, allFiles) {
+  const progressName = path.basename(profile.progressFile);
+  const inputName = displayPath(profile.inputDir);
+  const doneName = displayPath(profile.doneDir);
+  const staged = staging.stagedPages(profile);
+  const awaiting = allFiles.filter(f => staged.has(f));
+
+  if (awaiting.length > 0) {
+    const count = staging.loadStaged(profile).length;
+    console.log(`\n${count} staged ${count === 1 ? 'entry is' : 'entries are'} awaiting review in the web app's Review tab (${awaiting.length} of ${allFiles.length} pages).`);
+    console.log(`Pages stay in ${inputName} and ${progressName} is kept until they are approved or rejected; run again afterwards to archive.`);
+    return false;
+  }
+
+  console.log(`\nDone! All ${profile.subject} entries written to Obsidian.`);
+  console.log(`Archiving processed images to ${doneName}...`);
+  for (const file of allFiles) {
+    archivePage(profile, file);
   }
+  if (fs.existsSync(profile.progressFile)) fs.unlinkSync(profile.progressFile);
+  console.log(`Moved ${allFiles.length} pages to ${doneName}. ${inputName} is clear for the next journal.`);
+  return true;
 }
 
 main().catch(err => {
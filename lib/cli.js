@@ -0,0 +1,10 @@
+// Command-line flags shared by the scripts at the repo root.
+
+// The value after --<name>, or `fallback` when the flag is absent or is
+// followed by another flag (--undo --runs)
+function flagValue(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] && !process.argv[i + 1].startsWith('--') ? process.argv[i + 1] : fallback;
+}
+
+module.exports = { flagValue };
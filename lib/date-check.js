@@ -0,0 +1,82 @@
+// Sanity checks on the dates OCR gives transcribed entries, used by import.js
+// before anything is filed in the vault.
+//
+// Handwritten dates are easy to misread (a 7 for a 1 turns 2011 into 2017), and
+// Claude is asked to guess when a date is unclear. An entry is flagged when its
+// date:
+//   - is not a real day (2019-02-30)
+//   - is in the future
+//   - is before the journal's start date (the YYYY-MM-DD prefix of its page file)
+//   - goes back more than `maxBackwardsDays` from the entry before it
+//   - jumps more than `maxForwardDays` ahead of the entry before it
+// Flagged entries are held for review rather than written to the wrong folder.
+
+const DATE_CHECK_DEFAULTS = {
+  maxBackwardsDays: 7,    // journals are written in order; allow a little backfilling
+  maxForwardDays: 366,    // longer gaps between entries are usually a misread year
+  maxFutureDays: 1,       // time zones
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds for a real YYYY-MM-DD day, otherwise null
+function dayValue(date) {
+  const m = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? d.getTime() : null;
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// Reasons `date` looks wrong, given the journal's start date (`label`) and the
+// last date accepted from the same journal (`previousDate`); [] when it looks fine.
+function dateProblems(date, { label = null, previousDate = null, today = new Date(), ...options } = {}) {
+  const limits = { ...DATE_CHECK_DEFAULTS, ...options };
+  const value = dayValue(date);
+  if (value === null) return [`${date} is not a real date`];
+
+  const problems = [];
+  const todayValue = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+  if (value > todayValue + limits.maxFutureDays * DAY_MS) problems.push(`${date} is in the future`);
+
+  const start = dayValue(label);
+  if (start !== null && value < start) problems.push(`${date} is before this journal starts (${label})`);
+
+  const previous = dayValue(previousDate);
+  if (previous !== null) {
+    const days = Math.round((value - previous) / DAY_MS);
+    if (-days > limits.maxBackwardsDays) problems.push(`${date} goes back ${plural(-days, 'day')} from the entry before it (${previousDate})`);
+    if (days > limits.maxForwardDays) problems.push(`${date} jumps ${plural(days, 'day')} ahead of the entry before it (${previousDate})`);
+  }
+  return problems;
+}
+
+// The most common misreading is the year, so try the same month and day in
+// the years around the last good date (or the journal start) and return the
+// closest one that passes every check, or null.
+function suggestDate(date, context = {}) {
+  const m = typeof date === 'string' && date.match(/^\d{4}-(\d{2})-(\d{2})$/);
+  const anchor = dayValue(context.previousDate) ?? dayValue(context.label);
+  if (!m || anchor === null) return null;
+  const year = new Date(anchor).getUTCFullYear();
+  const candidates = [year - 1, year, year + 1]
+    .map(y => `${y}-${m[1]}-${m[2]}`)
+    .filter(candidate => candidate !== date && dateProblems(candidate, context).length === 0)
+    .sort((a, b) => Math.abs(dayValue(a) - anchor) - Math.abs(dayValue(b) - anchor));
+  return candidates[0] || null;
+}
+
+// Returns { problems, suggestedDate } for one entry
+function checkEntryDate(date, context = {}) {
+  const problems = dateProblems(date, context);
+  return { problems, suggestedDate: problems.length ? suggestDate(date, context) : null };
+}
+
+module.exports = { DATE_CHECK_DEFAULTS, checkEntryDate };
@@ -0,0 +1,91 @@
+// Reading Day One's JSON export (File → Export → JSON in the app), so Day One
+// journals can be imported anywhere, not just on the Mac that runs Day One.
+//
+// The export is a zip holding one <Journal name>.json per journal, shaped
+//   { metadata, entries: [{ uuid, creationDate, modifiedDate, timeZone, starred,
+//     tags, text, location, weather, photos, videos, audios, pdfAttachments }] }
+// with the media alongside in photos/, videos/, audios/ and pdfs/, named
+// <md5>.<type> like in the app's own media folders.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { describeLocation } = require('./dayone');
+
+const EXPORT_MEDIA_FOLDERS = {
+  photo: 'photos',
+  video: 'videos',
+  audio: 'audios',
+  pdfAttachment: 'pdfs',
+};
+
+const MEDIA_LISTS = ['photos', 'videos', 'audios', 'pdfAttachments'];
+
+// The entry's date where it was written, not in UTC
+function localDate(isoTime, timeZone) {
+  const time = new Date(isoTime);
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(time);
+  } catch {
+    // Unknown or missing time zone
+    return time.toISOString().slice(0, 10);
+  }
+}
+
+function exportWeather(weather) {
+  if (!weather) return null;
+  return {
+    conditions: weather.conditionsDescription || null,
+    temperatureC: typeof weather.temperatureCelsius === 'number' ? Math.round(weather.temperatureCelsius * 10) / 10 : null,
+  };
+}
+
+// One export entry → the plain entry lib/dayone.js works with
+function toEntry(raw, journal) {
+  return {
+    uuid: raw.uuid,
+    date: localDate(raw.creationDate, raw.timeZone),
+    modified: raw.modifiedDate || raw.creationDate,
+    starred: Boolean(raw.starred),
+    tags: raw.tags || [],
+    text: raw.text || '',
+    created: raw.creationDate,
+    timeZone: raw.timeZone || null,
+    journal,
+    location: raw.location ? describeLocation(raw.location) : null,
+    weather: exportWeather(raw.weather),
+  };
+}
+
+// Unpacks the zip to a temporary folder (media is copied out of it) and
+// returns { entries, attachments, mediaDir, cleanup }. `attachments` maps
+// moment IDs to { md5, type }; call cleanup() when done with the media.
+function readExport(zipPath) {
+  const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dayone-export-'));
+  const cleanup = () => fs.rmSync(mediaDir, { recursive: true, force: true });
+  try {
+    new AdmZip(zipPath).extractAllTo(mediaDir, true);
+    const journals = fs.readdirSync(mediaDir).filter(f => f.toLowerCase().endsWith('.json'));
+    if (journals.length === 0) throw new Error(`${path.basename(zipPath)} has no journal .json files; is it a Day One JSON export?`);
+
+    const entries = [];
+    const attachments = new Map();
+    for (const file of journals.sort()) {
+      const journal = path.basename(file, path.extname(file));
+      const data = JSON.parse(fs.readFileSync(path.join(mediaDir, file), 'utf8'));
+      for (const raw of data.entries || []) {
+        entries.push(toEntry(raw, journal));
+        for (const item of MEDIA_LISTS.flatMap(list => raw[list] || [])) {
+          if (item.identifier && item.md5) attachments.set(item.identifier, { md5: item.md5, type: item.type || 'jpeg' });
+        }
+      }
+    }
+    entries.sort((a, b) => a.date.localeCompare(b.date) || String(a.created).localeCompare(String(b.created)));
+    return { entries, attachments, mediaDir, cleanup };
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+module.exports = { EXPORT_MEDIA_FOLDERS, readExport };
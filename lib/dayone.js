@@ -0,0 +1,346 @@
+// Day One entries → vault notes: pieces shared by the Day One importers.
+//
+// Importers read their source into plain entries
+//   { uuid, date: 'YYYY-MM-DD', modified, starred, tags: [names], text,
+//     created: ISO time, timeZone, journal: name,
+//     location: { name, latitude, longitude }, weather: { conditions, temperatureC } }
+// (anything after text may be missing) and hand them to syncEntries(), which
+// writes, updates and retires notes.
+//
+// Photos, videos, audio and PDFs appear in an entry's Markdown as
+// ![](dayone-moment://<id>) (older entries: dayone-moment:/video/<id>, ...).
+// The files themselves are named after their MD5 and live in media folders
+// next to the database (DayOnePhotos/<md5>.jpeg, ...).
+const fs = require('fs');
+const path = require('path');
+const { toPages } = require('./input-formats');
+const { entryFolder, walkNotes } = require('./vault');
+const { yamlString } = require('./frontmatter');
+const { placeNote, adoptNote, forgetNote } = require('./registry');
+
+const MEDIA_FOLDERS = {
+  photo: 'DayOnePhotos',
+  video: 'DayOneVideos',
+  audio: 'DayOneAudios',
+  pdfAttachment: 'DayOnePDFAttachments',
+};
+
+const MOMENT_PATTERN = /!\[[^\]]*\]\(dayone-moment:\/{1,2}(?:(photo|video|audio|pdfAttachment)\/)?([A-Za-z0-9-]+)\)/g;
+
+// Looks for an attachment's file in the media folders under `mediaDir`,
+// starting with the folder for its kind. Day One only has the files it has
+// downloaded from sync, so this may return null. `mediaFolders` names the
+// folders for each kind (the JSON export names them differently).
+function findMediaFile(mediaDir, attachment, kind = 'photo', mediaFolders = MEDIA_FOLDERS) {
+  const name = `${attachment.md5}.${attachment.type}`;
+  const folders = [mediaFolders[kind] || mediaFolders.photo, ...Object.values(mediaFolders)];
+  for (const folder of new Set(folders)) {
+    const file = path.join(mediaDir, folder, name);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// Copies a media file into the vault once (names are content hashes, so an
+// existing file is the same file). HEIC photos become JPEG so Obsidian can show them.
+async function copyAttachment(source, attachment, attachmentsDir) {
+  const heic = /^hei[cf]$/i.test(attachment.type);
+  const target = path.join(attachmentsDir, `${attachment.md5}.${heic ? 'jpg' : attachment.type}`);
+  if (!fs.existsSync(target)) {
+    fs.mkdirSync(attachmentsDir, { recursive: true });
+    if (heic) {
+      const [page] = await toPages(fs.readFileSync(source));
+      fs.writeFileSync(target, page.buffer);
+    } else {
+      fs.copyFileSync(source, target);
+    }
+  }
+  return target;
+}
+
+// style 'obsidian' → ![[file.jpg]]; 'markdown' → ![](relative/path/to/file.jpg) from the note's folder
+function embedLink(target, noteDir, style) {
+  if (style === 'markdown') {
+    const relative = path.relative(noteDir, target).split(path.sep).map(encodeURIComponent).join('/');
+    return `![](${relative})`;
+  }
+  return `![[${path.basename(target)}]]`;
+}
+
+// Replaces every moment reference in `text` with an embed of its file, copied
+// into `attachmentsDir`. `attachments` maps moment IDs to { md5, type };
+// `findFile(attachment, kind)` returns the file's path or null.
+// Returns { text, copied, missing } (counts of references).
+async function embedMoments(text, { attachments, findFile, attachmentsDir, noteDir, style = 'obsidian' }) {
+  const links = new Map();
+  let copied = 0;
+  let missing = 0;
+  for (const [match, kind, id] of text.matchAll(MOMENT_PATTERN)) {
+    if (links.has(match)) continue;
+    const attachment = attachments.get(id);
+    const source = attachment && findFile(attachment, kind || 'photo');
+    if (source) {
+      links.set(match, embedLink(await copyAttachment(source, attachment, attachmentsDir), noteDir, style));
+      copied++;
+    } else {
+      links.set(match, `*(Day One ${kind || 'photo'} ${id} was not found)*`);
+      missing++;
+    }
+  }
+  return { text: text.replace(MOMENT_PATTERN, match => links.get(match)), copied, missing };
+}
+
+// ── Notes ─────────────────────────────────────────────────────────────────────
+
+// Place name parts as Day One stores them → { name, latitude, longitude }
+function describeLocation({ placeName, localityName, administrativeArea, country, latitude, longitude }) {
+  const place = [placeName, localityName, administrativeArea, country]
+    .filter(Boolean)
+    .filter((part, i, parts) => parts.indexOf(part) === i);
+  if (place.length === 0 && typeof latitude !== 'number') return null;
+  return {
+    name: place.join(', ') || null,
+    latitude: typeof latitude === 'number' ? latitude : null,
+    longitude: typeof longitude === 'number' ? longitude : null,
+  };
+}
+
+function tagName(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// Where a journal's notes go: { folder (under the journal folder, or null),
+// tag (or null) }. Journals not in `journals` (dayone-journals.json) stay in
+// the journal folder, tagged with their name.
+function journalPlacement(journal, journals = {}) {
+  if (!journal) return { folder: null, tag: null };
+  const mapped = journals[journal] || {};
+  return {
+    folder: mapped.folder || null,
+    tag: mapped.tag === false ? null : tagName(mapped.tag || journal),
+  };
+}
+
+function loadJournalMap(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${path.basename(file)} is not valid JSON: ${err.message}`);
+  }
+}
+
+// Creation time as written, with its UTC offset: 2021-07-03T23:30:00-06:00
+function localTimestamp(isoTime, timeZone) {
+  const time = new Date(isoTime);
+  if (Number.isNaN(time.getTime())) return null;
+  try {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+      timeZone, hourCycle: 'h23', timeZoneName: 'longOffset',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(time).map(part => [part.type, part.value]));
+    const offset = parts.timeZoneName === 'GMT' ? 'Z' : parts.timeZoneName.replace('GMT', '');
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+  } catch {
+    return time.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+}
+
+// Fields are flat so Dataview can query them (WHERE journal = "Travel",
+// weather, temperature in °C, latitude/longitude); missing ones are left out.
+function buildFrontmatter(entry, { journalTag = null } = {}) {
+  const tagList = ['journal', 'day-one'];
+  if (journalTag) tagList.push(journalTag);
+  if (entry.starred) tagList.push('starred');
+  for (const tag of entry.tags || []) {
+    if (tag.trim()) tagList.push(tagName(tag));
+  }
+
+  const lines = [`date: ${entry.date}`];
+  const created = entry.created && localTimestamp(entry.created, entry.timeZone);
+  if (created) lines.push(`created: ${created}`);
+  if (entry.timeZone) lines.push(`timezone: ${yamlString(entry.timeZone)}`);
+  if (entry.journal) lines.push(`journal: ${yamlString(entry.journal)}`);
+  const { location, weather } = entry;
+  if (location && location.name) lines.push(`location: ${yamlString(location.name)}`);
+  if (location && typeof location.latitude === 'number' && typeof location.longitude === 'number') {
+    lines.push(`latitude: ${location.latitude}`, `longitude: ${location.longitude}`);
+  }
+  if (weather && weather.conditions) lines.push(`weather: ${yamlString(weather.conditions)}`);
+  if (weather && typeof weather.temperatureC === 'number') lines.push(`temperature: ${weather.temperatureC}`);
+  lines.push(`tags: [${[...new Set(tagList)].join(', ')}]`, `dayone-id: ${entry.uuid}`);
+  return `---\n${lines.join('\n')}\n---`;
+}
+
+// ── Sync state ────────────────────────────────────────────────────────────────
+// { entries: { [uuid]: { modified, date, journal, path, missingMedia? } } }
+// path is null for entries with nothing to write (empty text); journal is
+// missing from entries synced before journals were recorded.
+
+// dayone-id → note path, from the frontmatter of notes already in the vault
+function notesByDayOneId(journalDir) {
+  const found = new Map();
+  for (const file of walkNotes(journalDir)) {
+    const m = fs.readFileSync(file, 'utf8').match(/^---\n[\s\S]*?^dayone-id: *(\S+)[\s\S]*?^---$/m);
+    if (m) found.set(m[1], file);
+  }
+  return found;
+}
+
+// State files used to hold only { syncedUUIDs }. Those entries are taken to be
+// unchanged since their last sync, and their notes are found by dayone-id.
+// Synced entries with no note (older versions skipped entries with photos)
+// are left out so they are imported as new. With dryRun the notes found are
+// not added to the registry.
+function loadSyncState(stateFile, entries, { journalDir, registryFile, dryRun }) {
+  const saved = fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : {};
+  const state = { entries: saved.entries || {} };
+  if (saved.syncedUUIDs) {
+    const byUuid = new Map(entries.map(e => [e.uuid, e]));
+    const notes = notesByDayOneId(journalDir);
+    for (const uuid of saved.syncedUUIDs) {
+      const entry = byUuid.get(uuid);
+      const notePath = notes.get(uuid) || null;
+      if (!notePath && entry && entry.text.trim()) continue;
+      state.entries[uuid] = entry
+        ? { modified: entry.modified, date: entry.date, journal: entry.journal || null, path: notePath }
+        : { modified: null, date: null, path: notePath };
+      if (notePath && !dryRun) adoptNote(registryFile, `dayone:${uuid}`, { path: notePath, date: entry ? entry.date : null });
+    }
+  }
+  return state;
+}
+
+function saveSyncState(stateFile, state) {
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+// Moves a note out of the journal folders without overwriting anything there
+function archiveNote(notePath, archiveDir) {
+  fs.mkdirSync(archiveDir, { recursive: true });
+  const { name, ext } = path.parse(notePath);
+  let target = path.join(archiveDir, `${name}${ext}`);
+  for (let suffix = 2; fs.existsSync(target); suffix++) target = path.join(archiveDir, `${name}-${suffix}${ext}`);
+  fs.renameSync(notePath, target);
+  return target;
+}
+
+// ── Sync ──────────────────────────────────────────────────────────────────────
+
+// Brings the vault in line with `entries`:
+//   new entries are written; entries whose `modified` changed since the last
+//   sync (or whose media was missing) are rewritten in place; entries gone
+//   from Day One are reported, or moved to `archiveDir` with archiveDeleted.
+//   With scopeToJournals (an export of only some journals) entries of
+//   journals missing from `entries` aren't counted as gone; entries whose
+//   journal was never recorded are.
+// With dryRun nothing is written. Returns { added, updated, unchanged,
+// deleted, empty, mediaCopied, mediaMissing }; the first four list
+// { date, path } so the caller can print a summary.
+async function syncEntries(entries, options) {
+  const {
+    stateFile, registryFile, journalDir, attachmentsDir, hubLink = 'Journal Hub',
+    attachments = new Map(), findFile = () => null, embedStyle = 'obsidian',
+    dryRun = false, archiveDeleted = false, archiveDir, journals = {}, refresh = false,
+    scopeToJournals = false,
+  } = options;
+  const state = loadSyncState(stateFile, entries, { journalDir, registryFile, dryRun });
+  const result = { added: [], updated: [], unchanged: 0, deleted: [], empty: 0, mediaCopied: 0, mediaMissing: 0 };
+
+  for (const entry of entries) {
+    const known = state.entries[entry.uuid];
+    // refresh rewrites notes whose entry hasn't changed, e.g. after editing the journal map
+    if (known && known.modified === entry.modified && !known.missingMedia && !(refresh && !dryRun)) {
+      // State saved before journals were recorded learns them as entries go by
+      if (!dryRun) known.journal = entry.journal || null;
+      result.unchanged++;
+      continue;
+    }
+    const text = (entry.text || '').trim();
+    if (!text) {
+      result.empty++;
+      if (!dryRun) state.entries[entry.uuid] = { modified: entry.modified, date: entry.date, journal: entry.journal || null, path: known ? known.path : null };
+      continue;
+    }
+    const list = known && known.path ? result.updated : result.added;
+    if (dryRun) {
+      list.push({ date: entry.date, path: known ? known.path : null });
+      continue;
+    }
+
+    const { folder, tag } = journalPlacement(entry.journal, journals);
+    const dir = entryFolder(folder ? path.join(journalDir, ...folder.split('/')) : journalDir, entry.date);
+    const media = await embedMoments(text, { attachments, findFile, attachmentsDir, noteDir: dir, style: embedStyle });
+    result.mediaCopied += media.copied;
+    result.mediaMissing += media.missing;
+    const footer = hubLink ? `\n\n[[${hubLink}]]` : '';
+    const content = `${buildFrontmatter(entry, { journalTag: tag })}\n\n${media.text.trim()}${footer}\n`;
+    // Keyed by UUID, so syncing again after the state file is lost doesn't copy notes
+    const { filePath, status } = placeNote(registryFile, { source: `dayone:${entry.uuid}`, dir, date: entry.date, content });
+    state.entries[entry.uuid] = {
+      modified: entry.modified,
+      date: entry.date,
+      journal: entry.journal || null,
+      path: filePath,
+      // Entries with media Day One hasn't downloaded yet are tried again next run
+      ...(media.missing ? { missingMedia: true } : {}),
+    };
+    if (status === 'unchanged') result.unchanged++;
+    else list.push({ date: entry.date, path: filePath });
+  }
+
+  const current = new Set(entries.map(e => e.uuid));
+  const exportedJournals = new Set(entries.map(e => e.journal || null));
+  const inScope = known => !scopeToJournals || known.journal === undefined || exportedJournals.has(known.journal);
+  for (const [uuid, known] of Object.entries(state.entries)) {
+    if (current.has(uuid) || !inScope(known)) continue;
+    const exists = known.path && fs.existsSync(known.path);
+    if (!exists) {
+      // Nothing left in the vault to report
+      if (!dryRun) delete state.entries[uuid];
+      continue;
+    }
+    if (archiveDeleted && !dryRun) {
+      result.deleted.push({ date: known.date, path: archiveNote(known.path, archiveDir) });
+      forgetNote(registryFile, `dayone:${uuid}`);
+      delete state.entries[uuid];
+    } else {
+      result.deleted.push({ date: known.date, path: known.path });
+    }
+  }
+
+  if (!dryRun) saveSyncState(stateFile, state);
+  return result;
+}
+
+// Lines describing a syncEntries() result, for the importers to print.
+// `missingMedia` finishes the sentence about media that wasn't found.
+function syncSummary(result, { total, dryRun, archiveDeleted, vaultDir, archiveDir, attachmentsDir, missingMedia }) {
+  const lines = [];
+  const inVault = p => (p ? path.relative(vaultDir, p) : '(new)');
+  const verb = {
+    added: dryRun ? 'Would add' : 'Added',
+    updated: dryRun ? 'Would update' : 'Updated',
+    deleted: !archiveDeleted ? 'Deleted in Day One' : dryRun ? 'Would archive' : 'Archived',
+  };
+  for (const kind of ['added', 'updated', 'deleted']) {
+    for (const note of result[kind]) lines.push(`${verb[kind]}: ${note.date} → ${inVault(note.path)}`);
+  }
+
+  const { added, updated, deleted } = result;
+  if (added.length + updated.length + deleted.length === 0) {
+    return [`All ${total} Day One entries already synced. Nothing to do.`];
+  }
+  lines.push(`\n${dryRun ? 'Dry run: nothing was changed. ' : 'Done. '}${verb.added} ${added.length}, ${verb.updated.toLowerCase()} ${updated.length}, ${result.unchanged} unchanged${result.empty ? `, ${result.empty} empty` : ''}.`);
+  if (deleted.length > 0 && !archiveDeleted) {
+    lines.push(`${deleted.length} note${deleted.length === 1 ? '' : 's'} above came from entries deleted in Day One. Run with --archive-deleted to move them to ${inVault(archiveDir)}.`);
+  }
+  if (result.mediaCopied) lines.push(`Embedded ${result.mediaCopied} photos/videos (files in ${attachmentsDir}).`);
+  if (result.mediaMissing) lines.push(`${result.mediaMissing} photos/videos ${missingMedia}`);
+  return lines;
+}
+
+module.exports = {
+  MEDIA_FOLDERS, findMediaFile, embedMoments, describeLocation, loadJournalMap,
+  buildFrontmatter, syncEntries, syncSummary,
+};
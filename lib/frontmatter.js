@@ -0,0 +1,114 @@
+// Reading and editing the YAML frontmatter of vault notes, line by line, so
+// fields nobody touched keep the exact text they had (Obsidian's block-style
+// tag lists, comments, quoting).
+//
+// parseNote() splits a note into
+//   { fields: [{ key, text }], body, hasFrontmatter }
+// where text is the field's full source (its key line and any indented or
+// "- item" lines below it); formatNote() puts it back together.
+
+const FRONTMATTER = /^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+const KEY_LINE = /^([^\s#-][^:]*):(?:\s|$)/;
+
+// Plain YAML where that reads back as the same string, quoted otherwise
+function yamlString(value) {
+  const plain = /^[A-Za-z0-9][\w .,/()'&+-]*$/.test(value) && !/\s$/.test(value)
+    && !/^(true|false|yes|no|on|off|null)$/i.test(value) && Number.isNaN(Number(value));
+  return plain ? value : JSON.stringify(value);
+}
+
+function yamlValue(value) {
+  if (Array.isArray(value)) return `[${value.map(yamlValue).join(', ')}]`;
+  if (typeof value === 'string') return yamlString(value);
+  return String(value);
+}
+
+function parseNote(content) {
+  const match = content.match(FRONTMATTER);
+  if (!match) return { fields: [], body: content, hasFrontmatter: false };
+  const fields = [];
+  for (const line of (match[1] || '').split(/\r?\n/)) {
+    const key = line.match(KEY_LINE);
+    if (key || fields.length === 0) fields.push({ key: key ? key[1].trim() : null, text: line });
+    else fields[fields.length - 1].text += `\n${line}`;
+  }
+  return { fields, body: content.slice(match[0].length), hasFrontmatter: true };
+}
+
+function formatNote({ fields, body, hasFrontmatter }) {
+  if (!hasFrontmatter && fields.length === 0) return body;
+  const lines = fields.map(field => field.text).join('\n');
+  return `---\n${lines ? `${lines}\n` : ''}---\n${body}`;
+}
+
+function findField(note, key) {
+  return note.fields.find(field => field.key === key) || null;
+}
+
+// The value after "key:" on the field's first line, unquoted
+function fieldValue(note, key) {
+  const field = findField(note, key);
+  if (!field) return null;
+  const value = field.text.split('\n')[0].slice(field.text.indexOf(':') + 1).trim();
+  return value.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function unquote(item) {
+  return item.trim().replace(/^(["'])(.*)\1$/, '$2').replace(/^#/, '');
+}
+
+// Tags in any of the forms Obsidian accepts: [a, b], a block list, or "a, b"
+function readTags(note) {
+  const field = findField(note, 'tags');
+  if (!field) return { tags: [], style: 'flow' };
+  const [first, ...rest] = field.text.split('\n');
+  const value = first.slice(first.indexOf(':') + 1).trim();
+  if (value.startsWith('[')) {
+    return { tags: value.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean), style: 'flow' };
+  }
+  if (!value) {
+    const items = rest.filter(line => /^\s*-\s/.test(line));
+    const indent = items.length ? items[0].match(/^\s*/)[0] : '  ';
+    return { tags: items.map(line => unquote(line.replace(/^\s*-\s/, ''))).filter(Boolean), style: 'block', indent };
+  }
+  return { tags: value.split(/[,\s]+/).map(unquote).filter(Boolean), style: 'flow' };
+}
+
+// Rewrites the tags field in the style it was found in
+function writeTags(note, tags) {
+  const { style, indent } = readTags(note);
+  const text = style === 'block'
+    ? ['tags:', ...tags.map(tag => `${indent}- ${tag}`)].join('\n')
+    : `tags: [${tags.join(', ')}]`;
+  const field = findField(note, 'tags');
+  if (field) field.text = text;
+  else note.fields.push({ key: 'tags', text });
+  note.hasFrontmatter = true;
+}
+
+// Sets a field to a string, number, boolean or list; null removes it
+function setField(note, key, value) {
+  const index = note.fields.findIndex(field => field.key === key);
+  if (value === null) {
+    if (index !== -1) note.fields.splice(index, 1);
+    return;
+  }
+  const text = `${key}: ${yamlValue(value)}`;
+  if (index !== -1) note.fields[index].text = text;
+  else note.fields.push({ key, text });
+  note.hasFrontmatter = true;
+}
+
+// Renames a field, keeping its value as written. Returns false when `from`
+// is missing or `to` is taken.
+function renameField(note, from, to) {
+  const field = findField(note, from);
+  if (!field || findField(note, to)) return false;
+  field.text = `${to}${field.text.slice(field.text.indexOf(':'))}`;
+  field.key = to;
+  return true;
+}
+
+module.exports = {
+  yamlString, yamlValue, parseNote, formatNote, fieldValue, readTags, writeTags, setField, renameField,
+};
@@ -0,0 +1,189 @@
+// Index notes for a profile's journal folder (build-indexes.js): the hub note
+// named by the profile's hubLink (wherever it is in the vault, or new in the
+// journal folder), one note per year and one per month, each
+// with entry counts, links with each entry's first line, and "On this day".
+//
+// Generated text sits between INDEX_START and INDEX_END. Regenerating replaces
+// only that block, so anything written by hand around it stays; a hub note
+// without the markers gets the block added at the end.
+const fs = require('fs');
+const path = require('path');
+const { MONTH_NAMES, entryFolder, walkNotes } = require('./vault');
+const { parseNote, fieldValue } = require('./frontmatter');
+
+const INDEX_START = '<!-- journal-index:start (generated by build-indexes.js; edit outside this block) -->';
+const INDEX_END = '<!-- journal-index:end -->';
+const BLOCK_PATTERN = /<!-- journal-index:start[^>]*-->[\s\S]*?<!-- journal-index:end -->/;
+const FIRST_LINE_LENGTH = 80;
+const LATEST_COUNT = 10;
+
+// An existing note called `name` anywhere in the vault (outside .obsidian,
+// .trash and the like), so the hub stays the note [[name]] already links to
+function findNote(vault, name) {
+  const walk = dir => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isFile() && entry.name === `${name}.md`) return fullPath;
+      if (entry.isDirectory()) {
+        const found = walk(fullPath);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+  return fs.existsSync(vault) ? walk(vault) : null;
+}
+
+function isIndexNote(content) {
+  return BLOCK_PATTERN.test(content);
+}
+
+// First line of text worth showing: not blank, not just a link or an embed
+function firstLine(body) {
+  const line = body.split('\n')
+    .map(l => l.replace(/^#+\s*/, '').trim())
+    .find(l => l && !/^!?\[\[[^\]]*\]\]$/.test(l) && !/^!\[[^\]]*\]\([^)]*\)$/.test(l));
+  if (!line) return '';
+  return line.length > FIRST_LINE_LENGTH ? `${line.slice(0, FIRST_LINE_LENGTH - 1).trimEnd()}…` : line;
+}
+
+// Dated notes under the journal folder, oldest first: [{ filePath, date, firstLine }].
+// Index notes and notes without a date are left out.
+function readEntries(journalDir) {
+  const entries = [];
+  for (const filePath of walkNotes(journalDir)) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (isIndexNote(content)) continue;
+    const note = parseNote(content);
+    const date = (fieldValue(note, 'date') || path.basename(filePath)).match(/^\d{4}-\d{2}-\d{2}/);
+    if (date) entries.push({ filePath, date: date[0], firstLine: firstLine(note.body) });
+  }
+  return entries.sort((a, b) => a.date.localeCompare(b.date) || a.filePath.localeCompare(b.filePath));
+}
+
+// The folder the layout puts a year's (or month's) notes under, or null when
+// the layout has no folder level for it
+function layoutFolder(journalDir, date, layout, token) {
+  const segments = layout.split('/');
+  const level = segments.findIndex(segment => token.test(segment));
+  return level === -1 ? null : entryFolder(journalDir, date, segments.slice(0, level + 1).join('/'));
+}
+
+function entryCount(count) {
+  return `${count} ${count === 1 ? 'entry' : 'entries'}`;
+}
+
+// Index notes to write for a profile: [{ filePath, title, kind, parent, block }]
+function planIndexes(profile, { today = new Date() } = {}) {
+  const { journalDir, vault } = profile;
+  if (!fs.existsSync(journalDir)) return [];
+  const layout = profile.folderLayout || '{year}/{month} - {monthName}';
+  const entries = readEntries(journalDir);
+  const todayDay = `${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+  const todayYear = today.getFullYear();
+
+  const link = (filePath, label) => `[[${path.relative(vault, filePath).replace(/\.md$/, '').split(path.sep).join('/')}|${label}]]`;
+  const entryLine = entry => `- ${link(entry.filePath, entry.date)}${entry.firstLine ? `: ${entry.firstLine}` : ''}`;
+  const onThisDay = list => list
+    .filter(entry => entry.date.slice(5) === todayDay)
+    .map(entry => {
+      const years = todayYear - Number(entry.date.slice(0, 4));
+      return `${entryLine(entry)}${years > 0 ? ` *(${years} year${years === 1 ? '' : 's'} ago)*` : ''}`;
+    });
+  const dayName = `${MONTH_NAMES[today.getMonth()]} ${today.getDate()}`;
+
+  const years = new Map();
+  for (const entry of entries) {
+    const [year, month] = entry.date.split('-');
+    if (!years.has(year)) years.set(year, new Map());
+    const months = years.get(year);
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(entry);
+  }
+
+  const hubPath = profile.hubLink
+    ? findNote(vault, profile.hubLink) || path.join(journalDir, `${profile.hubLink}.md`)
+    : null;
+  const indexes = [];
+  const yearIndexes = new Map();
+
+  for (const [year, months] of years) {
+    const yearDir = layoutFolder(journalDir, `${year}-01-01`, layout, /\{year\}/) || journalDir;
+    const yearPath = path.join(yearDir, `${year}.md`);
+    const yearEntries = [...months.values()].flat();
+    const monthLinks = [];
+
+    for (const [month, monthEntries] of months) {
+      const date = `${year}-${month}-01`;
+      const title = `${MONTH_NAMES[parseInt(month) - 1]} ${year}`;
+      const monthDir = layoutFolder(journalDir, date, layout, /\{month(Name)?\}/) || yearDir;
+      const monthPath = path.join(monthDir, `${title}.md`);
+      const lines = [`**${entryCount(monthEntries.length)}**`];
+      const sameDay = onThisDay(monthEntries);
+      if (sameDay.length) lines.push('', `## On this day (${dayName})`, ...sameDay);
+      lines.push('', '## Entries', ...monthEntries.map(entryLine));
+      indexes.push({ filePath: monthPath, title, kind: 'month', parent: link(yearPath, year), block: lines.join('\n') });
+      monthLinks.push({ monthPath, title, monthEntries });
+    }
+
+    const lines = [`**${entryCount(yearEntries.length)}** in ${year}`];
+    const sameDay = onThisDay(yearEntries);
+    if (sameDay.length) lines.push('', `## On this day (${dayName})`, ...sameDay);
+    for (const { monthPath, title, monthEntries } of monthLinks) {
+      lines.push('', `## ${link(monthPath, title)} (${monthEntries.length})`, ...monthEntries.map(entryLine));
+    }
+    indexes.push({ filePath: yearPath, title: year, kind: 'year', parent: hubPath ? link(hubPath, profile.hubLink) : null, block: lines.join('\n') });
+    yearIndexes.set(year, { yearPath, months: monthLinks });
+  }
+
+  if (hubPath) {
+    const lines = entries.length
+      ? [`**${entryCount(entries.length)}** from ${entries[0].date} to ${entries[entries.length - 1].date}`]
+      : ['No entries yet.'];
+    const sameDay = onThisDay(entries);
+    lines.push('', `## On this day (${dayName})`, ...(sameDay.length ? sameDay : ['Nothing written on this day yet.']));
+    lines.push('', '## Years');
+    for (const [year, { yearPath, months }] of [...yearIndexes].reverse()) {
+      const count = months.reduce((sum, m) => sum + m.monthEntries.length, 0);
+      const monthList = months.map(m => `${link(m.monthPath, m.title.split(' ')[0].slice(0, 3))} (${m.monthEntries.length})`);
+      lines.push(`- ${link(yearPath, year)}: ${count} · ${monthList.join(' · ')}`);
+    }
+    if (entries.length) lines.push('', '## Latest', ...entries.slice(-LATEST_COUNT).reverse().map(entryLine));
+    indexes.push({ filePath: hubPath, title: profile.hubLink, kind: 'hub', parent: null, block: lines.join('\n') });
+  }
+  return indexes;
+}
+
+// The note's new content: the block replaced in place, added at the end of a
+// note without one, or a new note around it
+function mergeIndex(existing, index) {
+  const block = `${INDEX_START}\n${index.block}\n${INDEX_END}`;
+  if (existing === null) {
+    const footer = index.parent ? `\n\n${index.parent}` : '';
+    return `---\nindex: ${index.kind}\ntags: [index]\n---\n\n# ${index.title}\n\n${block}${footer}\n`;
+  }
+  if (BLOCK_PATTERN.test(existing)) return existing.replace(BLOCK_PATTERN, () => block);
+  return `${existing.replace(/\s*$/, '')}\n\n${block}\n`;
+}
+
+// Writes the profile's index notes; returns { created, updated, unchanged }
+// as lists of paths
+function writeIndexes(profile, { today, dryRun = false } = {}) {
+  const result = { created: [], updated: [], unchanged: [] };
+  for (const index of planIndexes(profile, { today })) {
+    const existing = fs.existsSync(index.filePath) ? fs.readFileSync(index.filePath, 'utf8') : null;
+    const content = mergeIndex(existing, index);
+    if (content === existing) {
+      result.unchanged.push(index.filePath);
+      continue;
+    }
+    (existing === null ? result.created : result.updated).push(index.filePath);
+    if (dryRun) continue;
+    fs.mkdirSync(path.dirname(index.filePath), { recursive: true });
+    fs.writeFileSync(index.filePath, content, 'utf8');
+  }
+  return result;
+}
+
+module.exports = { INDEX_START, INDEX_END, isIndexNote, firstLine, planIndexes, writeIndexes };
@@ -0,0 +1,127 @@
+// Turning whatever a phone or scanner produced into page images that the OCR
+// engines and browsers can read, shared by the web app (server.js) and the
+// CLI importers.
+//
+// toPages(buffer) → [{ buffer, mediaType }] in page order:
+//   JPEG, PNG, GIF, WebP   passed through untouched (one page)
+//   HEIC/HEIF (iPhone)     converted to JPEG with heic-convert
+//   TIFF                   every page converted to JPEG (flatbed scanners)
+//   PDF                    every page rendered to JPEG with `pdftoppm` (poppler)
+//   anything else sharp can read (AVIF, ...) converted to JPEG
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Files in an importer's input folder that are turned into JPEG pages before the page loop
+const CONVERTED_PATTERN = /\.(heic|heif|tiff?|pdf)$/i;
+
+const PDF_DPI = 200;
+const JPEG_QUALITY = 90;
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+// Sniffs the format from the first bytes rather than trusting names or MIME types
+function detectFormat(buffer) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+  if (ascii(0, 4) === '%PDF') return 'pdf';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpeg';
+  if (ascii(1, 4) === 'PNG') return 'png';
+  if (ascii(0, 3) === 'GIF') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    // AVIF shares the HEIF container; sharp reads it directly
+    if (brand === 'avif' || brand === 'avis') return 'other';
+    if (HEIC_BRANDS.includes(brand)) return 'heic';
+  }
+  return 'other';
+}
+
+const PASS_THROUGH = { jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+
+async function heicToJpeg(buffer) {
+  const convert = require('heic-convert');
+  return Buffer.from(await convert({ buffer, format: 'JPEG', quality: JPEG_QUALITY / 100 }));
+}
+
+async function tiffPages(buffer) {
+  const { pages = 1 } = await sharp(buffer).metadata();
+  const result = [];
+  for (let page = 0; page < pages; page++) {
+    result.push(await sharp(buffer, { page }).rotate().jpeg({ quality: JPEG_QUALITY }).toBuffer());
+  }
+  return result;
+}
+
+function runPdftoppm(args) {
+  return new Promise((resolve, reject) => {
+    execFile('pdftoppm', args, (err, stdout, stderr) => {
+      if (err) {
+        if (err.code === 'ENOENT') return reject(new Error('pdftoppm is not installed or not on PATH (install poppler / poppler-utils to read PDFs).'));
+        return reject(new Error(`pdftoppm failed: ${stderr.trim() || err.message}`));
+      }
+      resolve();
+    });
+  });
+}
+
+async function pdfPages(buffer) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-pdf-'));
+  try {
+    const input = path.join(dir, 'input.pdf');
+    fs.writeFileSync(input, buffer);
+    await runPdftoppm(['-r', String(PDF_DPI), '-jpeg', '-jpegopt', `quality=${JPEG_QUALITY}`, input, path.join(dir, 'page')]);
+    // pdftoppm pads page numbers to the page count (page-01.jpg ... page-12.jpg)
+    return fs.readdirSync(dir)
+      .filter(f => /^page-\d+\.jpg$/.test(f))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(f => fs.readFileSync(path.join(dir, f)));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function toPages(buffer) {
+  const format = detectFormat(buffer);
+  if (PASS_THROUGH[format]) return [{ buffer, mediaType: PASS_THROUGH[format] }];
+
+  let jpegs;
+  if (format === 'pdf') jpegs = await pdfPages(buffer);
+  else if (format === 'tiff') jpegs = await tiffPages(buffer);
+  else if (format === 'heic') jpegs = [await heicToJpeg(buffer)];
+  else jpegs = [await sharp(buffer).rotate().jpeg({ quality: JPEG_QUALITY }).toBuffer()];
+
+  if (jpegs.length === 0) throw new Error('No pages found in file.');
+  return jpegs.map(jpeg => ({ buffer: jpeg, mediaType: 'image/jpeg' }));
+}
+
+// Importers: replaces each HEIC/TIFF/PDF in `inputDir` with JPEG pages named
+// after it ("notebook.pdf" → "notebook-p001.jpg", ...) so they sort into
+// place, and moves the original to `originalsDir`. Returns one
+// { file, pages } or { file, error } per converted file.
+async function convertInputFolder(inputDir, originalsDir) {
+  const results = [];
+  const files = fs.readdirSync(inputDir).filter(f => CONVERTED_PATTERN.test(f));
+  for (const file of files) {
+    const source = path.join(inputDir, file);
+    try {
+      const pages = await toPages(fs.readFileSync(source));
+      const base = path.basename(file, path.extname(file));
+      const names = pages.map((_, i) => (pages.length === 1 ? `${base}.jpg` : `${base}-p${String(i + 1).padStart(3, '0')}.jpg`));
+      const clash = names.find(name => fs.existsSync(path.join(inputDir, name)));
+      if (clash) throw new Error(`${clash} already exists in the input folder.`);
+      pages.forEach((page, i) => fs.writeFileSync(path.join(inputDir, names[i]), page.buffer));
+      fs.mkdirSync(originalsDir, { recursive: true });
+      fs.renameSync(source, path.join(originalsDir, file));
+      results.push({ file, pages: names });
+    } catch (err) {
+      results.push({ file, error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = { detectFormat, toPages, convertInputFolder };
@@ -0,0 +1,263 @@
+// Rules-based upkeep of the notes already in the vault (vault-maintain.js):
+// add or remove links, edit frontmatter tags and fields, move notes into a
+// date folder layout. Every run that changes something is logged with each
+// file's content before and after, so it can be undone.
+//
+// A rules file looks like
+//   { "vault": "~/Documents/My Vault",
+//     "rules": [{ "name": "...", "folder": "Personal/Journals", ...selectors, ...actions }] }
+// Selectors: folder (one or a list, relative to the vault; required),
+// skip (file names), withTag (only notes with this tag).
+// Actions, applied in this order:
+//   renameFields  { "old-key": "new-key" }
+//   setFields     { "key": value }  (null removes the field)
+//   addTags / removeTags  [names]
+//   addLink / removeLink  "Note name"  ([[Note name]] on its own line at the end)
+//   moveTo        folder layout under the rule's folder, e.g. "{year}/{month} - {monthName}"
+// Rules run in order and each sees what the rules before it did.
+const fs = require('fs');
+const path = require('path');
+const { entryFolder, walkNotes } = require('./vault');
+const { parseNote, formatNote, fieldValue, readTags, writeTags, setField, renameField } = require('./frontmatter');
+const { relocateNote } = require('./registry');
+
+const SELECTORS = ['name', 'folder', 'skip', 'withTag'];
+const ACTIONS = ['renameFields', 'setFields', 'addTags', 'removeTags', 'addLink', 'removeLink', 'moveTo'];
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Reads and checks a rules file, so a typo fails before any note is touched
+function loadRules(file) {
+  if (!fs.existsSync(file)) throw new Error(`Rules file not found: ${file}`);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${path.basename(file)} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(config.rules) || config.rules.length === 0) {
+    throw new Error(`${path.basename(file)} has no "rules" list.`);
+  }
+  config.rules.forEach((rule, i) => {
+    const label = rule.name ? `Rule "${rule.name}"` : `Rule ${i + 1}`;
+    const unknown = Object.keys(rule).filter(key => !SELECTORS.includes(key) && !ACTIONS.includes(key));
+    if (unknown.length) {
+      throw new Error(`${label}: unknown key${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}. Actions are ${ACTIONS.join(', ')}.`);
+    }
+    if (asList(rule.folder).length === 0) throw new Error(`${label} needs a "folder" (relative to the vault).`);
+    if (!ACTIONS.some(key => key in rule)) throw new Error(`${label} has no action (${ACTIONS.join(', ')}).`);
+  });
+  return config;
+}
+
+function linkPattern(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\[\\[${escaped}(?:\\|([^\\]]*))?\\]\\]`, 'g');
+}
+
+function addLink(body, name) {
+  if (linkPattern(name).test(body)) return body;
+  const link = `[[${name}]]`;
+  if (!body.trim()) return `\n${link}\n`;
+  return body.endsWith('\n') ? `${body}\n${link}\n` : `${body}\n\n${link}\n`;
+}
+
+// Drops lines holding just the link; elsewhere the link becomes plain text
+function removeLink(body, name) {
+  if (!linkPattern(name).test(body)) return body;
+  const alone = line => linkPattern(name).test(line) && !line.replace(linkPattern(name), '').trim();
+  return body.split('\n').filter(line => !alone(line)).join('\n')
+    .replace(linkPattern(name), (link, alias) => alias || name)
+    .replace(/\n+$/, '\n');
+}
+
+function noteDate(note, filePath) {
+  const date = fieldValue(note, 'date') || path.basename(filePath);
+  const match = String(date).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? match[0] : null;
+}
+
+// Runs the rules over one note: returns { content, filePath, rules } with the
+// names of the rules that changed it, plus any warning
+function applyRules(rules, vault, filePath, content) {
+  let current = { content, filePath };
+  const applied = [];
+  let warning = null;
+
+  rules.forEach((rule, i) => {
+    const folders = asList(rule.folder).map(folder => path.join(vault, folder));
+    const folder = folders.find(dir => current.filePath.startsWith(dir + path.sep));
+    if (!folder || asList(rule.skip).includes(path.basename(current.filePath))) return;
+
+    const note = parseNote(current.content);
+    const { tags } = readTags(note);
+    if (rule.withTag && !tags.includes(rule.withTag)) return;
+
+    for (const [from, to] of Object.entries(rule.renameFields || {})) renameField(note, from, to);
+    for (const [key, value] of Object.entries(rule.setFields || {})) setField(note, key, value);
+    if (rule.addTags || rule.removeTags) {
+      const removed = new Set(asList(rule.removeTags));
+      const next = [...new Set([...tags, ...asList(rule.addTags)])].filter(tag => !removed.has(tag));
+      if (String(next) !== String(tags)) writeTags(note, next);
+    }
+    for (const name of asList(rule.addLink)) note.body = addLink(note.body, name);
+    for (const name of asList(rule.removeLink)) note.body = removeLink(note.body, name);
+
+    let filePath = current.filePath;
+    if (rule.moveTo) {
+      const date = noteDate(note, filePath);
+      if (date) filePath = path.join(entryFolder(folder, date, rule.moveTo), path.basename(filePath));
+      else warning = `${path.relative(vault, filePath)}: no date in its frontmatter or file name, so it was not moved`;
+    }
+
+    const next = { content: formatNote(note), filePath };
+    if (next.content !== current.content || next.filePath !== current.filePath) {
+      applied.push(rule.name || `rule ${i + 1}`);
+    }
+    current = next;
+  });
+
+  return { ...current, rules: applied, warning };
+}
+
+// Works out what the rules would change without touching anything:
+// { changes: [{ from, to, before, after, rules }], warnings: [] }
+function planChanges(config, vault) {
+  const folders = [...new Set(config.rules.flatMap(rule => asList(rule.folder)))];
+  const files = [...new Set(folders.flatMap(folder => walkNotes(path.join(vault, folder))))].sort();
+  const changes = [];
+  const warnings = [];
+  const targets = new Set();
+
+  for (const from of files) {
+    const before = fs.readFileSync(from, 'utf8');
+    const result = applyRules(config.rules, vault, from, before);
+    if (result.warning) warnings.push(result.warning);
+    if (result.rules.length === 0) continue;
+
+    let to = result.filePath;
+    if (to !== from && (targets.has(to) || fs.existsSync(to))) {
+      warnings.push(`${path.relative(vault, from)}: ${path.relative(vault, to)} already exists, so it was not moved`);
+      to = from;
+    }
+    targets.add(to);
+    if (to === from && result.content === before) continue;
+    changes.push({ from, to, before, after: result.content, rules: result.rules });
+  }
+  return { changes, warnings };
+}
+
+// Line diff of two versions of a note, with one line of context around each
+// change: ['  same', '- old', '+ new', '  ...']
+function lineDiff(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ sign: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ sign: '-', line: a[i++] });
+    } else {
+      ops.push({ sign: '+', line: b[j++] });
+    }
+  }
+
+  const near = ops.map((op, k) => ops.slice(Math.max(0, k - 1), k + 2).some(other => other.sign !== ' '));
+  const lines = [];
+  ops.forEach((op, k) => {
+    if (near[k]) lines.push(`${op.sign} ${op.line}`);
+    else if (lines.length && lines[lines.length - 1] !== '  ...') lines.push('  ...');
+  });
+  return lines;
+}
+
+// Moves the note's registry records along with it, and drops the folder it
+// left if that is now empty
+function followMove(registryFiles, from, to) {
+  for (const file of registryFiles) relocateNote(file, from, to);
+  const dir = path.dirname(from);
+  if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+}
+
+// Makes the planned changes and logs them to a new file in `logDir`; returns its path
+function applyChanges(changes, { logDir, vault, rulesFile, registryFiles = [] }) {
+  const ranAt = new Date().toISOString();
+  const logFile = path.join(logDir, `${ranAt.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(logDir, { recursive: true });
+  const log = { ranAt, vault, rulesFile, changes: [] };
+
+  for (const change of changes) {
+    fs.mkdirSync(path.dirname(change.to), { recursive: true });
+    fs.writeFileSync(change.to, change.after, 'utf8');
+    if (change.to !== change.from) {
+      fs.unlinkSync(change.from);
+      followMove(registryFiles, change.from, change.to);
+    }
+    log.changes.push(change);
+    // Written as it goes, so a run that fails halfway can still be undone
+    fs.writeFileSync(logFile, JSON.stringify(log, null, 2));
+  }
+  return logFile;
+}
+
+// Logged runs, newest first: [{ file, ranAt, changes, undoneAt }]
+function listRuns(logDir) {
+  if (!fs.existsSync(logDir)) return [];
+  return fs.readdirSync(logDir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(name => {
+      const log = JSON.parse(fs.readFileSync(path.join(logDir, name), 'utf8'));
+      return { file: path.join(logDir, name), ranAt: log.ranAt, changes: log.changes.length, undoneAt: log.undoneAt || null };
+    });
+}
+
+// Puts back what a logged run changed. A note edited since the run is left
+// as it is and reported. Returns { restored, skipped: [{ path, reason }] }.
+function undoRun(logFile, { registryFiles = [] } = {}) {
+  const log = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+  if (log.undoneAt) throw new Error(`${path.basename(logFile)} was already undone at ${log.undoneAt}.`);
+  let restored = 0;
+  const skipped = [];
+
+  for (const change of [...log.changes].reverse()) {
+    const current = fs.existsSync(change.to) ? fs.readFileSync(change.to, 'utf8') : null;
+    if (current !== change.after) {
+      skipped.push({ path: change.to, reason: current === null ? 'no longer exists' : 'edited since the run' });
+      continue;
+    }
+    if (change.to !== change.from && fs.existsSync(change.from)) {
+      skipped.push({ path: change.to, reason: `${change.from} exists again` });
+      continue;
+    }
+    fs.mkdirSync(path.dirname(change.from), { recursive: true });
+    fs.writeFileSync(change.from, change.before, 'utf8');
+    if (change.to !== change.from) {
+      fs.unlinkSync(change.to);
+      followMove(registryFiles, change.to, change.from);
+    }
+    restored++;
+  }
+
+  log.undoneAt = new Date().toISOString();
+  fs.writeFileSync(logFile, JSON.stringify(log, null, 2));
+  return { restored, skipped };
+}
+
+module.exports = { loadRules, planChanges, lineDiff, applyChanges, listRuns, undoRun };
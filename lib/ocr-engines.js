@@ -0,0 +1,413 @@
+// OCR engines shared by the web app (server.js) and the CLI importers.
+//
+// Every engine is created with createEngine(name, options) and exposes
+//   transcribe(imageBuffer, { mediaType, label }) → {
+//     text,            full transcription
+//     entries,         [{ date: 'YYYY-MM-DD' | null, text, continues }]
+//     isContinuation,  page starts mid-entry (no date at the top)
+//     confidence,      0–1, or null when the engine can't say
+//     words,           [{ text, confidence, box: { x, y, w, h } }] in reading order,
+//                      box as fractions of the image size; [] when the engine
+//                      doesn't report word positions (Claude)
+//   }
+// so callers never need to know which service produced the text.
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// ── Date headings ──────────────────────────────────────────────────────────────
+// Vision and Tesseract only return raw text, so entries are found by looking
+// for lines that read like a journal date heading.
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+                'july', 'august', 'september', 'october', 'november', 'december'];
+
+function isoDate(year, month, day) {
+  if (year < 100) year += year < 50 ? 2000 : 1900;
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function monthIndex(word) {
+  const w = word.toLowerCase().replace(/\.$/, '');
+  if (w.length < 3) return -1;
+  return MONTHS.findIndex(m => m.startsWith(w));
+}
+
+function parseDateLine(line) {
+  const clean = line.trim().replace(/^(mon|tues?|wed(nes)?|thu(rs)?|fri|sat(ur)?|sun)(day)?\.?,?\s+/i, '');
+  if (!clean || clean.length > 40) return null;
+  let m = clean.match(/^(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (m) return isoDate(+m[1], +m[2], +m[3]);
+  m = clean.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})\b/);
+  if (m) return isoDate(+m[3], +m[1], +m[2]);
+  m = clean.match(/^([A-Za-z]+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/);
+  if (m && monthIndex(m[1]) !== -1) return isoDate(+m[3], monthIndex(m[1]) + 1, +m[2]);
+  m = clean.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]+\.?),?\s+(\d{4})\b/);
+  if (m && monthIndex(m[2]) !== -1) return isoDate(+m[3], monthIndex(m[2]) + 1, +m[1]);
+  return null;
+}
+
+function splitEntriesByDate(text) {
+  const entries = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    const date = parseDateLine(line);
+    if (date) {
+      current = { date, lines: [line] };
+      entries.push(current);
+    } else {
+      if (!current) {
+        current = { date: null, lines: [] };
+        entries.push(current);
+      }
+      current.lines.push(line);
+    }
+  }
+  const result = entries
+    .map(e => ({ date: e.date, text: e.lines.join('\n').trim(), continues: false }))
+    .filter(e => e.text);
+  return { entries: result, isContinuation: result.length > 0 && result[0].date === null };
+}
+
+// Word positions are returned as fractions of the page so the web app can
+// draw them over the image at whatever size it is shown.
+function normalizedBox(left, top, right, bottom, width, height) {
+  if (!width || !height) return null;
+  const round = n => Math.round(n * 10000) / 10000;
+  return { x: round(left / width), y: round(top / height), w: round((right - left) / width), h: round((bottom - top) / height) };
+}
+
+function average(values) {
+  const nums = values.filter(v => typeof v === 'number');
+  return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null;
+}
+
+// ── Google Cloud Vision ────────────────────────────────────────────────────────
+
+function visionWords(annotation) {
+  const words = [];
+  for (const page of annotation?.pages || []) {
+    for (const block of page.blocks || []) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const word of paragraph.words || []) {
+          // Vertices omit x or y when they are 0
+          const xs = word.boundingBox.vertices.map(v => v.x || 0);
+          const ys = word.boundingBox.vertices.map(v => v.y || 0);
+          words.push({
+            text: (word.symbols || []).map(sym => sym.text).join(''),
+            confidence: typeof word.confidence === 'number' ? word.confidence : null,
+            box: normalizedBox(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys), page.width, page.height),
+          });
+        }
+      }
+    }
+  }
+  return words;
+}
+
+function createGoogleVisionEngine({ apiKey }) {
+  if (!apiKey) throw new Error('Google Vision API key not configured.');
+  return {
+    name: 'google-vision',
+    async transcribe(imageBuffer) {
+      const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          requests: [{
+            image: { content: imageBuffer.toString('base64') },
+            features: [{ type: 'DOCUMENT_TEXT_DETECTION', maxResults: 1 }],
+            imageContext: { languageHints: ['en'] },
+          }],
+        }),
+      });
+      const data = await response.json();
+      const result = data.responses?.[0];
+      if (!response.ok || result?.error) {
+        const err = new Error(result?.error?.message || data.error?.message || `Vision API error: ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+      const annotation = result?.fullTextAnnotation;
+      const text = (annotation?.text || '').trim();
+      return {
+        text,
+        ...splitEntriesByDate(text),
+        confidence: average((annotation?.pages || []).map(p => p.confidence)),
+        words: visionWords(annotation),
+      };
+    },
+  };
+}
+
+// ── Anthropic (Claude) ─────────────────────────────────────────────────────────
+
+// Claude answers by calling this tool, so the reply is structured data rather
+// than JSON embedded in prose. The schema guides the model; transcriptionProblems()
+// is what actually decides whether a reply is usable.
+const TRANSCRIPTION_TOOL = {
+  name: 'record_transcription',
+  description: 'Record the transcription of the page, split into journal entries.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      is_continuation: {
+        type: 'boolean',
+        description: 'True if this page begins mid-entry with no new date, false otherwise.',
+      },
+      confidence: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'How sure you are of the transcription overall, from 0 to 1.',
+      },
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            date: {
+              type: ['string', 'null'],
+              description: 'YYYY-MM-DD, e.g. 2019-06-03. null only for the first entry of a continuation page.',
+            },
+            text: { type: 'string', description: 'Full transcribed text of this entry or entry segment.' },
+            continues: {
+              type: 'boolean',
+              description: 'True if this entry runs off the bottom of the page, false if it ends on this page.',
+            },
+          },
+          required: ['date', 'text', 'continues'],
+        },
+      },
+    },
+    required: ['is_continuation', 'confidence', 'entries'],
+  },
+};
+
+function transcriptionPrompt(subject, notes) {
+  const extra = notes ? `\n\n${notes.trim()}` : '';
+  return `You are transcribing a handwritten ${subject} page. Transcribe it accurately, preserving the author's voice, spelling, and punctuation.
+
+This page may contain:
+- Multiple journal entries from different dates on the same page
+- An entry that continues from the previous page (no date at the top — it just picks up mid-sentence)
+- An entry that runs off the bottom and continues on the next page
+
+Record the transcription with the ${TRANSCRIPTION_TOOL.name} tool, one item in entries per dated entry or entry segment, top to bottom.
+
+If is_continuation is true, the first item in entries should have "date": null.
+If you cannot confidently read a date, make your best guess based on context clues. Do not skip any text.${extra}`;
+}
+
+// Checks a record_transcription call against the schema and the stitching
+// rules in lib/stitch.js. Returns a list of problems; empty means usable.
+function transcriptionProblems(input) {
+  if (!input || typeof input !== 'object') return ['the tool input is not an object'];
+  const problems = [];
+  if (typeof input.is_continuation !== 'boolean') problems.push('is_continuation must be true or false');
+  if (input.confidence != null && !(typeof input.confidence === 'number' && input.confidence >= 0 && input.confidence <= 1)) {
+    problems.push('confidence must be a number from 0 to 1');
+  }
+  if (!Array.isArray(input.entries)) return [...problems, 'entries must be a list'];
+  if (input.is_continuation === true && input.entries[0]?.date !== null) {
+    problems.push('is_continuation is true, so entries[0] must be the continued text with "date": null');
+  }
+  input.entries.forEach((entry, i) => {
+    const where = `entries[${i}]`;
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (entry.date === null) {
+      if (i > 0 || input.is_continuation !== true) problems.push(`${where}.date may only be null for the first entry of a continuation page`);
+    } else {
+      const m = typeof entry.date === 'string' && entry.date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      if (!m || !isoDate(+m[1], +m[2], +m[3])) problems.push(`${where}.date must be a real date written YYYY-MM-DD, got ${JSON.stringify(entry.date)}`);
+    }
+    if (typeof entry.text !== 'string') problems.push(`${where}.text must be a string`);
+    if (typeof entry.continues !== 'boolean') problems.push(`${where}.continues must be true or false`);
+    else if (entry.continues && i < input.entries.length - 1) problems.push(`${where}.continues is true but it is not the last entry on the page`);
+  });
+  return problems;
+}
+
+const MAX_TRANSCRIPTION_ATTEMPTS = 3;
+const MAX_TOKENS = [4096, 8192, 16384];
+
+// Keeps every reply (good or bad) so a strange transcription can be traced
+// back to exactly what Claude sent.
+function saveRawResponse(dir, label, attempt, record) {
+  if (!dir) return null;
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const safeLabel = String(label || 'page').replace(/[^\w.-]+/g, '_');
+  const file = path.join(dir, `${safeLabel}-${stamp}-attempt${attempt}.json`);
+  fs.writeFileSync(file, JSON.stringify(record, null, 2));
+  return file;
+}
+
+function createAnthropicEngine({ apiKey, model = 'claude-opus-4-8', subject = 'personal journal', promptNotes = '', rawResponseDir = null }) {
+  if (!apiKey) throw new Error('Anthropic API key not configured.');
+  const Anthropic = require('@anthropic-ai/sdk');
+  const client = new Anthropic({ apiKey });
+  return {
+    name: 'anthropic',
+    // label names the saved raw responses (the importers pass the page file name)
+    async transcribe(imageBuffer, { mediaType = 'image/jpeg', label } = {}) {
+      const question = {
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: mediaType, data: imageBuffer.toString('base64') } },
+          { type: 'text', text: transcriptionPrompt(subject, promptNotes) },
+        ],
+      };
+      let messages = [question];
+      let problems = [];
+      let savedTo = null;
+
+      // A reply cut off at max_tokens is asked again from scratch with more
+      // room; one that breaks the schema is sent back with the problems listed.
+      for (let attempt = 1; attempt <= MAX_TRANSCRIPTION_ATTEMPTS; attempt++) {
+        const maxTokens = MAX_TOKENS[Math.min(attempt, MAX_TOKENS.length) - 1];
+        const response = await client.messages.create({
+          model,
+          max_tokens: maxTokens,
+          tools: [TRANSCRIPTION_TOOL],
+          tool_choice: { type: 'tool', name: TRANSCRIPTION_TOOL.name },
+          messages,
+        });
+        const call = response.content.find(block => block.type === 'tool_use' && block.name === TRANSCRIPTION_TOOL.name);
+
+        if (response.stop_reason === 'max_tokens') {
+          problems = [`the reply was cut off at max_tokens (${maxTokens})`];
+        } else if (!call) {
+          problems = [`no ${TRANSCRIPTION_TOOL.name} call in the reply`];
+        } else {
+          problems = transcriptionProblems(call.input);
+        }
+        savedTo = saveRawResponse(rawResponseDir, label, attempt, {
+          model,
+          attempt,
+          max_tokens: maxTokens,
+          stop_reason: response.stop_reason,
+          problems,
+          usage: response.usage,
+          content: response.content,
+        }) || savedTo;
+
+        if (problems.length === 0) {
+          const entries = call.input.entries.map(e => ({ date: e.date, text: e.text, continues: e.continues }));
+          return {
+            text: entries.map(e => e.text).join('\n\n'),
+            entries,
+            isContinuation: call.input.is_continuation,
+            confidence: typeof call.input.confidence === 'number' ? call.input.confidence : null,
+            words: [],
+          };
+        }
+
+        messages = response.stop_reason === 'max_tokens' || !call
+          ? [question]
+          : [...messages, { role: 'assistant', content: response.content }, {
+            role: 'user',
+            content: [{
+              type: 'tool_result',
+              tool_use_id: call.id,
+              is_error: true,
+              content: `That transcription can't be used: ${problems.join('; ')}. Call ${TRANSCRIPTION_TOOL.name} again with the whole page, corrected.`,
+            }],
+          }];
+      }
+
+      const where = savedTo ? ` Raw responses saved in ${path.dirname(savedTo)}.` : '';
+      throw new Error(`Claude gave no usable transcription after ${MAX_TRANSCRIPTION_ATTEMPTS} attempts: ${problems.join('; ')}.${where}`);
+    },
+  };
+}
+
+// ── Tesseract (local / offline) ────────────────────────────────────────────────
+// Shells out to the `tesseract` binary (apt/brew install tesseract), so no
+// image ever leaves the machine.
+
+function runTesseract(imageBuffer, lang) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('tesseract', ['stdin', 'stdout', '-l', lang, 'tsv'],
+      { maxBuffer: 20 * 1024 * 1024 }, (err, stdout, stderr) => {
+        if (err) {
+          if (err.code === 'ENOENT') return reject(new Error('tesseract is not installed or not on PATH.'));
+          return reject(new Error(`tesseract failed: ${stderr.trim() || err.message}`));
+        }
+        resolve(stdout);
+      });
+    child.stdin.end(imageBuffer);
+  });
+}
+
+// TSV rows are one per word (level 5); rebuild lines from block/paragraph/line numbers.
+// The level 1 row carries the page size.
+function parseTesseractTsv(tsv) {
+  const lines = [];
+  const words = [];
+  let pageWidth = 0;
+  let pageHeight = 0;
+  let lastKey = null;
+  let lastBlock = null;
+  for (const row of tsv.split('\n').slice(1)) {
+    const cols = row.split('\t');
+    if (cols[0] === '1') {
+      pageWidth = Number(cols[8]);
+      pageHeight = Number(cols[9]);
+    }
+    if (cols.length < 12 || cols[0] !== '5' || !cols[11].trim()) continue;
+    const [, , block, par, line] = cols;
+    const key = `${block}.${par}.${line}`;
+    if (key !== lastKey) {
+      if (lastBlock !== null && block !== lastBlock) lines.push('');
+      lines.push([]);
+      lastKey = key;
+      lastBlock = block;
+    }
+    lines[lines.length - 1].push(cols[11]);
+    const [left, top, width, height] = cols.slice(6, 10).map(Number);
+    words.push({
+      text: cols[11],
+      confidence: Number(cols[10]) / 100,
+      box: normalizedBox(left, top, left + width, top + height, pageWidth, pageHeight),
+    });
+  }
+  return {
+    text: lines.map(l => (Array.isArray(l) ? l.join(' ') : l)).join('\n').trim(),
+    confidence: average(words.map(w => w.confidence)),
+    words,
+  };
+}
+
+function createTesseractEngine({ lang = 'eng' } = {}) {
+  return {
+    name: 'tesseract',
+    async transcribe(imageBuffer) {
+      const { text, confidence, words } = parseTesseractTsv(await runTesseract(imageBuffer, lang));
+      return { text, ...splitEntriesByDate(text), confidence, words };
+    },
+  };
+}
+
+// ── Registry ───────────────────────────────────────────────────────────────────
+
+const ENGINES = {
+  'google-vision': { label: 'Google Cloud Vision', create: createGoogleVisionEngine },
+  anthropic: { label: 'Claude (Anthropic)', create: createAnthropicEngine },
+  tesseract: { label: 'Tesseract (local, offline)', create: createTesseractEngine },
+};
+
+function createEngine(name, options = {}) {
+  const engine = ENGINES[name];
+  if (!engine) {
+    throw new Error(`Unknown OCR engine "${name}". Choose one of: ${Object.keys(ENGINES).join(', ')}`);
+  }
+  return engine.create(options);
+}
+
+module.exports = { ENGINES, createEngine, parseDateLine, splitEntriesByDate };
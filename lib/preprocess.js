@@ -0,0 +1,204 @@
+// Cleaning up phone photos before OCR, shared by the web app (server.js) and
+// the CLI importers.
+//
+// preprocessImage(buffer, options) runs, in order:
+//   1. auto-rotate from EXIF orientation (always)
+//   2. crop: the manual `crop` box if given, otherwise crop to the page
+//   3. manual `rotate`, if any
+//   4. deskew by up to ±MAX_SKEW degrees (then crop to the page again, since
+//      a tilted page leaves slivers of background at the corners)
+//   5. normalize contrast (evens out shadows and faint pencil)
+//   6. downscale so the longest side is at most `maxDimension`
+// and returns a JPEG along with a list of the steps that changed something.
+const sharp = require('sharp');
+
+const DEFAULTS = {
+  rotate: 0,            // manual rotation in degrees, clockwise
+  crop: null,           // manual crop { x, y, w, h } as fractions of the upright (EXIF-rotated) image
+  cropToPage: true,
+  deskew: true,
+  normalize: true,
+  maxDimension: 2400,
+};
+
+// Analysis runs on a small grayscale copy; results are scaled back up
+const ANALYSIS_WIDTH = 600;
+const MAX_SKEW = 5;
+const SKEW_STEP = 0.25;
+
+async function grayscalePixels(image, width = ANALYSIS_WIDTH) {
+  const { data, info } = await image.clone()
+    .resize({ width, withoutEnlargement: true })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// Otsu's method: the gray level that best splits ink from paper
+function otsuThreshold(data) {
+  const hist = new Array(256).fill(0);
+  for (const v of data) hist[v]++;
+  const total = data.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * hist[i];
+  let sumB = 0;
+  let weightB = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (!weightB) continue;
+    const weightF = total - weightB;
+    if (!weightF) break;
+    sumB += t * hist[t];
+    const between = weightB * weightF * (sumB / weightB - (sum - sumB) / weightF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+// The page is the bright region: rows and columns that are mostly paper.
+// Returns a box in fractions, or null when the page already fills the frame
+// or nothing page-like was found.
+function findPage({ data, width, height }) {
+  const threshold = otsuThreshold(data);
+  const rowBright = new Array(height).fill(0);
+  const colBright = new Array(width).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] > threshold) {
+        rowBright[y]++;
+        colBright[x]++;
+      }
+    }
+  }
+  const span = (counts, length) => {
+    const first = counts.findIndex(c => c / length > 0.5);
+    if (first === -1) return null;
+    let last = counts.length - 1;
+    while (counts[last] / length <= 0.5) last--;
+    return [first, last + 1];
+  };
+  const rows = span(rowBright, width);
+  const cols = span(colBright, height);
+  if (!rows || !cols) return null;
+  const box = { x: cols[0] / width, y: rows[0] / height, w: (cols[1] - cols[0]) / width, h: (rows[1] - rows[0]) / height };
+  const area = box.w * box.h;
+  if (area > 0.95 || area < 0.3) return null;
+  return box;
+}
+
+// Projection profile: text lines are sharpest (row sums most uneven) when the
+// page is level, so try small angles and keep the one with the peakiest profile.
+function findSkew({ data, width, height }) {
+  const threshold = otsuThreshold(data);
+  const ink = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < threshold) ink.push(x, y);
+    }
+  }
+  // Too little (blank page) or too much (dark photo) ink to measure lines
+  const inkShare = ink.length / 2 / (width * height);
+  if (inkShare < 0.002 || inkShare > 0.4) return 0;
+
+  const score = angle => {
+    const rad = angle * Math.PI / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    const offset = Math.ceil(width * Math.abs(sin));
+    const rows = new Float64Array(height + 2 * offset + 1);
+    for (let i = 0; i < ink.length; i += 2) {
+      rows[Math.round(ink[i + 1] * cos - ink[i] * sin) + offset]++;
+    }
+    let total = 0;
+    for (const r of rows) total += r * r;
+    return total;
+  };
+
+  let bestAngle = 0;
+  let bestScore = score(0);
+  for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+    const s = score(angle);
+    if (s > bestScore * 1.01) {
+      bestScore = s;
+      bestAngle = angle;
+    }
+  }
+  return bestAngle;
+}
+
+function pixelBox(box, width, height) {
+  const left = Math.max(0, Math.round(box.x * width));
+  const top = Math.max(0, Math.round(box.y * height));
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(width - left, Math.round(box.w * width))),
+    height: Math.max(1, Math.min(height - top, Math.round(box.h * height))),
+  };
+}
+
+function checkCrop(crop) {
+  const ok = crop && ['x', 'y', 'w', 'h'].every(k => typeof crop[k] === 'number' && crop[k] >= 0 && crop[k] <= 1)
+    && crop.w > 0 && crop.h > 0 && crop.x + crop.w <= 1.0001 && crop.y + crop.h <= 1.0001;
+  if (!ok) throw new Error('crop must be { x, y, w, h } given as fractions of the image (0–1).');
+}
+
+// sharp applies one rotate per pipeline, so each step renders to a buffer
+async function render(image) {
+  const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+  return { image: sharp(data), width: info.width, height: info.height };
+}
+
+async function preprocessImage(buffer, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  if (opts.crop) checkCrop(opts.crop);
+  const steps = [];
+
+  const original = await sharp(buffer).metadata();
+  if (original.orientation && original.orientation > 1) steps.push('auto-rotated');
+  let current = await render(sharp(buffer).rotate());
+
+  const cropBox = opts.crop || (opts.cropToPage ? findPage(await grayscalePixels(current.image)) : null);
+  if (cropBox) {
+    current = await render(current.image.extract(pixelBox(cropBox, current.width, current.height)));
+    steps.push(opts.crop ? 'cropped' : 'cropped to page');
+  }
+
+  const rotate = Number(opts.rotate) || 0;
+  if (rotate % 360 !== 0) {
+    current = await render(current.image.rotate(rotate, { background: '#ffffff' }));
+    steps.push(`rotated ${rotate}°`);
+  }
+
+  if (opts.deskew) {
+    // findSkew measures the tilt; sharp rotates clockwise, so undo it with -angle
+    const angle = findSkew(await grayscalePixels(current.image, 800));
+    if (Math.abs(angle) >= SKEW_STEP) {
+      current = await render(current.image.rotate(-angle, { background: '#ffffff' }));
+      steps.push(`deskewed ${-angle > 0 ? '+' : ''}${-angle}°`);
+      const pageBox = !opts.crop && opts.cropToPage ? findPage(await grayscalePixels(current.image)) : null;
+      if (pageBox) current = await render(current.image.extract(pixelBox(pageBox, current.width, current.height)));
+    }
+  }
+
+  let image = current.image;
+  if (opts.normalize) {
+    image = image.normalise();
+    steps.push('normalized contrast');
+  }
+  if (Math.max(current.width, current.height) > opts.maxDimension) {
+    image = image.resize({ width: opts.maxDimension, height: opts.maxDimension, fit: 'inside' });
+    steps.push(`downscaled to ${opts.maxDimension}px`);
+  }
+
+  const { data, info } = await image.jpeg({ quality: 85 }).toBuffer({ resolveWithObject: true });
+  return { buffer: data, mediaType: 'image/jpeg', width: info.width, height: info.height, steps };
+}
+
+module.exports = { preprocessImage, PREPROCESS_DEFAULTS: DEFAULTS };
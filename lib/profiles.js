@@ -0,0 +1,74 @@
+// Import profiles: everything that differs between one kind of handwritten
+// notebook and another (folders, vault location, tags, hub link, prompt).
+//
+// Profiles live in import-profiles.json at the repo root. Machine-specific
+// additions or overrides go in import-profiles.local.json (git-ignored),
+// which is merged over the shared file one profile at a time.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PROFILES_FILE = path.join(ROOT_DIR, 'import-profiles.json');
+const LOCAL_PROFILES_FILE = path.join(ROOT_DIR, 'import-profiles.local.json');
+
+const DEFAULTS = {
+  folderLayout: '{year}/{month} - {monthName}',
+  tags: ['journal', 'handwritten'],
+  hubLink: null,
+  subject: 'personal journal',
+  promptNotes: '',
+  dateChecks: {},  // limits for lib/date-check.js, or false to turn the checks off
+};
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function loadProfiles() {
+  const shared = readJson(PROFILES_FILE);
+  const local = readJson(LOCAL_PROFILES_FILE);
+  const profiles = {};
+  for (const name of new Set([...Object.keys(shared), ...Object.keys(local)])) {
+    profiles[name] = { ...shared[name], ...local[name] };
+  }
+  return profiles;
+}
+
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+// Relative paths in a profile are relative to the repo root
+function resolveDir(p) {
+  return path.resolve(ROOT_DIR, expandHome(p));
+}
+
+// Returns a profile with absolute paths filled in. `overrides` may carry
+// vault and inputDir from the command line.
+function resolveProfile(name, overrides = {}) {
+  const profiles = loadProfiles();
+  const raw = profiles[name];
+  if (!raw) {
+    throw new Error(`Unknown profile "${name}". Available: ${Object.keys(profiles).join(', ') || '(none)'}`);
+  }
+  const profile = { ...DEFAULTS, ...raw, name };
+  for (const key of ['inputDir', 'doneDir', 'progressFile', 'vault', 'folder']) {
+    if (!profile[key]) throw new Error(`Profile "${name}" is missing "${key}".`);
+  }
+  const vault = resolveDir(overrides.vault || profile.vault);
+  const inputDir = resolveDir(overrides.inputDir || profile.inputDir);
+  return {
+    ...profile,
+    vault,
+    inputDir,
+    doneDir: resolveDir(profile.doneDir),
+    progressFile: resolveDir(profile.progressFile),
+    stagingDir: resolveDir(profile.stagingDir || path.join('staging', name)),
+    registryFile: resolveDir(profile.registryFile || path.join('registry', `${name}.json`)),
+    rawResponseDir: resolveDir(profile.rawResponseDir || path.join('raw-responses', name)),
+    journalDir: path.join(vault, profile.folder),
+  };
+}
+
+module.exports = { ROOT_DIR, expandHome, loadProfiles, resolveProfile };
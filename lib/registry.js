@@ -0,0 +1,137 @@
+// Registry of notes the importers have written, so running an import again
+// updates or skips notes instead of filing date-2.md copies of them.
+//
+// Each note is keyed by its source: the page it started on and its place on
+// that page for handwritten imports ("2019-01-01_003.jpg#1"), the entry UUID
+// for Day One ("dayone:<uuid>"). The registry file holds
+//   { notes: { [source]: { path, date, hash, pages, writtenAt } } }
+// where hash is the SHA-256 of the note's full content and pages lists every
+// page a handwritten entry came from (so a redone page can find its notes).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function loadRegistry(file) {
+  const registry = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  return { notes: {}, ...registry };
+}
+
+function saveRegistry(file, registry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2));
+}
+
+function fileHash(filePath) {
+  return fs.existsSync(filePath) ? contentHash(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+// date.md, date-2.md, date-3.md, ... in `dir`, up to the first free name
+function candidatePaths(dir, date) {
+  const paths = [];
+  for (let suffix = 1; ; suffix++) {
+    const filePath = path.join(dir, suffix === 1 ? `${date}.md` : `${date}-${suffix}.md`);
+    paths.push(filePath);
+    if (!fs.existsSync(filePath)) return paths;
+  }
+}
+
+// Writes `content` as the note for `source` in `dir` and returns
+// { filePath, status }, where status is
+//   'unchanged'  the note already has this content, or the source produced the
+//                same content as last time
+//   'updated'    the source's earlier note was rewritten (and moved, if its date changed)
+//   'created'    a new note, suffixed only if a different note has the date already
+// Without a registry entry, an existing note with identical content is
+// adopted rather than copied, so a lost registry doesn't cause duplicates.
+function placeNote(registryFile, { source, dir, date, content, pages }) {
+  const registry = loadRegistry(registryFile);
+  const hash = contentHash(content);
+  const known = registry.notes[source];
+  const record = filePath => {
+    registry.notes[source] = { path: filePath, date, hash, ...(pages ? { pages } : {}), writtenAt: new Date().toISOString() };
+    saveRegistry(registryFile, registry);
+  };
+
+  if (known && fs.existsSync(known.path)) {
+    const sameFolder = path.dirname(known.path) === dir && known.date === date;
+    // Same output as last time: leave the note (and any edits made to it in Obsidian) alone
+    if (sameFolder && (known.hash === hash || fileHash(known.path) === hash)) {
+      if (pages && String(known.pages) !== String(pages)) record(known.path);
+      return { filePath: known.path, status: 'unchanged' };
+    }
+    let filePath = known.path;
+    if (!sameFolder) {
+      fs.unlinkSync(known.path);
+      filePath = candidatePaths(dir, date).pop();
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+    record(filePath);
+    return { filePath, status: 'updated' };
+  }
+
+  const candidates = candidatePaths(dir, date);
+  const free = candidates.pop();
+  const claimed = new Set(Object.values(registry.notes).map(n => n.path));
+  const identical = candidates.find(filePath => !claimed.has(filePath) && fileHash(filePath) === hash);
+  if (identical) {
+    record(identical);
+    return { filePath: identical, status: 'unchanged' };
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(free, content, 'utf8');
+  record(free);
+  return { filePath: free, status: 'created' };
+}
+
+// Notes that came (at least partly) from any of `pages`: [{ source, path, date, pages, ... }]
+function notesFromPages(registryFile, pages) {
+  const wanted = new Set(pages);
+  return Object.entries(loadRegistry(registryFile).notes)
+    .filter(([, note]) => (note.pages || []).some(page => wanted.has(page)))
+    .map(([source, note]) => ({ source, ...note }));
+}
+
+// Records a note written before the registry existed as `source`'s note
+function adoptNote(registryFile, source, { path: filePath, date }) {
+  const registry = loadRegistry(registryFile);
+  if (registry.notes[source] || !fs.existsSync(filePath)) return;
+  registry.notes[source] = { path: filePath, date, hash: fileHash(filePath), writtenAt: new Date().toISOString() };
+  saveRegistry(registryFile, registry);
+}
+
+// Stops tracking a source's note, leaving the file where it is
+function forgetNote(registryFile, source) {
+  const registry = loadRegistry(registryFile);
+  const note = registry.notes[source];
+  if (!note) return null;
+  delete registry.notes[source];
+  saveRegistry(registryFile, registry);
+  return note;
+}
+
+// Deletes a source's note from the vault and forgets it
+function removeNote(registryFile, source) {
+  const note = forgetNote(registryFile, source);
+  if (note && fs.existsSync(note.path)) fs.unlinkSync(note.path);
+  return note;
+}
+
+// Follows a note moved within the vault (by vault-maintain.js); returns
+// whether this registry knew the note
+function relocateNote(registryFile, fromPath, toPath) {
+  if (!fs.existsSync(registryFile)) return false;
+  const registry = loadRegistry(registryFile);
+  const known = Object.values(registry.notes).filter(note => note.path === fromPath);
+  for (const note of known) note.path = toPath;
+  if (known.length) saveRegistry(registryFile, registry);
+  return known.length > 0;
+}
+
+module.exports = {
+  contentHash, loadRegistry, placeNote, notesFromPages, adoptNote, forgetNote, removeNote, relocateNote,
+};
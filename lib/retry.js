@@ -0,0 +1,48 @@
+// Retrying flaky API calls and running a batch of them a few at a time.
+
+// Worth another try: rate limits, overloaded or failing servers, dropped
+// connections, and replies we couldn't parse (an HTML error page from a proxy
+// instead of JSON). Missing keys, bad requests and a missing binary are not.
+function isTransientError(err) {
+  const status = err.status || err.statusCode;
+  if (status) return status === 408 || status === 409 || status === 429 || status >= 500;
+  if (err instanceof SyntaxError) return true;
+  if (['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'].includes(err.code)) return true;
+  return /fetch failed|network|socket hang up|timed? ?out|overloaded/i.test(err.message || '');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls fn() until it succeeds, a non-transient error is thrown, or `retries`
+// retries have been used. Waits baseDelayMs, 2×, 4×, ... (with jitter) between
+// tries. onRetry(err, attempt, delayMs) is called before each wait.
+async function withRetry(fn, { retries = 4, baseDelayMs = 2000, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt > retries || !isTransientError(err)) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const delayMs = Math.round(baseDelayMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5));
+      if (onRetry) onRetry(err, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+// Runs worker(item) for every item with at most `concurrency` in flight.
+// Workers are expected to handle their own errors.
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+module.exports = { isTransientError, withRetry, runPool };
@@ -0,0 +1,212 @@
+// Full-text search over journal entries for /api/search: the scans stored by
+// the web app and, optionally, the notes in the profiles' vault folders.
+//
+// Documents are { id, kind, title, date, tags: [names], text, ... }. Queries
+// are words, "quoted phrases" and prefixes (plan*); a document must match
+// every one, in its title or text. Matches are ranked with BM25 over the
+// text, with a boost for title matches.
+const fs = require('fs');
+const path = require('path');
+const { parseNote, fieldValue, readTags } = require('./frontmatter');
+const { walkNotes } = require('./vault');
+const { isIndexNote, firstLine } = require('./indexes');
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_BOOST = 2;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60;
+const TAG_FACETS = 30;
+
+// Words with where they sit in the text: [{ word, start, end }]
+function tokenize(text) {
+  return [...(text || '').matchAll(WORD)].map(m => ({
+    word: m[0].toLowerCase().replace(/’/g, "'"),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+// "quoted phrase", prefix*, word → [{ kind: 'phrase' | 'prefix' | 'word', words }]
+function parseQuery(q) {
+  const terms = [];
+  for (const [, phrase, token] of (q || '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const words = tokenize(phrase !== undefined ? phrase : token).map(t => t.word);
+    if (words.length === 0) continue;
+    if (token !== undefined && token.endsWith('*') && words.length === 1) terms.push({ kind: 'prefix', words });
+    else terms.push({ kind: words.length > 1 ? 'phrase' : 'word', words });
+  }
+  return terms;
+}
+
+// Where a term matches in a token list: [{ start, end }] as token indexes
+function termMatches(term, tokens) {
+  const matches = [];
+  const [first] = term.words;
+  tokens.forEach(({ word }, i) => {
+    if (term.kind === 'prefix') {
+      if (word.startsWith(first)) matches.push({ start: i, end: i });
+    } else if (word === first && term.words.every((w, k) => tokens[i + k] && tokens[i + k].word === w)) {
+      matches.push({ start: i, end: i + term.words.length - 1 });
+    }
+  });
+  return matches;
+}
+
+// Text around the first match, as [{ text, match }] segments to highlight
+function snippet(text, tokens, matches) {
+  const ranges = matches
+    .map(m => ({ start: tokens[m.start].start, end: tokens[m.end].end }))
+    .sort((a, b) => a.start - b.start);
+  let from = ranges.length ? Math.max(0, ranges[0].start - SNIPPET_LEAD) : 0;
+  if (from > 0) {
+    const space = text.indexOf(' ', from);
+    from = space !== -1 && space < ranges[0].start ? space + 1 : from;
+  }
+  let to = Math.min(text.length, from + SNIPPET_LENGTH);
+  if (to < text.length) {
+    const space = text.lastIndexOf(' ', to);
+    if (space > from) to = space;
+  }
+
+  const segments = [];
+  let at = from;
+  for (const range of ranges) {
+    if (range.start < at || range.end > to) continue;
+    if (range.start > at) segments.push({ text: text.slice(at, range.start), match: false });
+    segments.push({ text: text.slice(range.start, range.end), match: true });
+    at = range.end;
+  }
+  if (at < to) segments.push({ text: text.slice(at, to), match: false });
+  for (const segment of segments) segment.text = segment.text.replace(/\s+/g, ' ');
+  if (from > 0) segments.unshift({ text: '…', match: false });
+  if (to < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase();
+}
+
+function countFacet(values, limit) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, limit);
+}
+
+// Searches `docs` and returns one page of results:
+//   { total, offset, limit, results: [{ ...doc, score, snippet }], facets: { tags, years } }
+// Options: q, from / to (YYYY-MM-DD, inclusive), tags (all must be present),
+// sort ('relevance', the default with a query; 'newest'; 'oldest'), offset, limit.
+// Facets count tags and years over every match, not just the page.
+function searchDocuments(docs, { q = '', from, to, tags = [], sort, offset = 0, limit = 20 } = {}) {
+  const terms = parseQuery(q);
+  const wantedTags = tags.map(normalizeTag).filter(Boolean);
+  const candidates = docs.filter(doc => {
+    if ((from || to) && !doc.date) return false;
+    if (from && doc.date < from) return false;
+    if (to && doc.date > to) return false;
+    const docTags = (doc.tags || []).map(normalizeTag);
+    return wantedTags.every(tag => docTags.includes(tag));
+  });
+
+  const prepared = candidates.map(doc => ({ doc, tokens: doc.tokens || tokenize(doc.text), titleTokens: tokenize(doc.title) }));
+  const averageLength = prepared.reduce((sum, p) => sum + p.tokens.length, 0) / (prepared.length || 1) || 1;
+  for (const p of prepared) {
+    p.perTerm = terms.map(term => ({ text: termMatches(term, p.tokens), title: termMatches(term, p.titleTokens) }));
+  }
+  // How rare each term is among the documents searched
+  const idf = terms.map((term, i) => {
+    const withTerm = prepared.filter(p => p.perTerm[i].text.length || p.perTerm[i].title.length).length;
+    return Math.log(1 + (prepared.length - withTerm + 0.5) / (withTerm + 0.5));
+  });
+
+  const matched = prepared.filter(p => p.perTerm.every(hits => hits.text.length || hits.title.length));
+  for (const m of matched) {
+    const norm = BM25_K1 * (1 - BM25_B + BM25_B * m.tokens.length / averageLength);
+    m.score = m.perTerm.reduce((score, hits, i) => {
+      const tf = hits.text.length;
+      return score + idf[i] * ((tf * (BM25_K1 + 1)) / (tf + norm) + (hits.title.length ? TITLE_BOOST : 0));
+    }, 0);
+  }
+
+  const order = sort || (terms.length ? 'relevance' : 'newest');
+  const byDate = (a, b) => String(b.doc.date || '').localeCompare(String(a.doc.date || ''));
+  matched.sort(order === 'oldest' ? (a, b) => byDate(b, a)
+    : order === 'newest' ? byDate
+    : (a, b) => b.score - a.score || byDate(a, b));
+
+  const page = matched.slice(offset, offset + limit).map(m => {
+    const { tokens, ...doc } = m.doc;
+    return {
+      ...doc,
+      score: Math.round(m.score * 1000) / 1000,
+      snippet: snippet(doc.text || '', m.tokens, m.perTerm.flatMap(hits => hits.text)),
+    };
+  });
+  return {
+    total: matched.length,
+    offset,
+    limit,
+    results: page,
+    facets: {
+      tags: countFacet(matched.flatMap(m => [...new Set((m.doc.tags || []).map(normalizeTag))]), TAG_FACETS),
+      years: countFacet(matched.filter(m => m.doc.date).map(m => m.doc.date.slice(0, 4)), Infinity)
+        .sort((a, b) => b.value.localeCompare(a.value)),
+    },
+  };
+}
+
+// Parsed vault notes by path, reread only when a file's modification time changes
+const noteCache = new Map();
+
+function readVaultNote(filePath, { vault, profile }) {
+  const mtime = fs.statSync(filePath).mtimeMs;
+  const cached = noteCache.get(filePath);
+  if (cached && cached.mtime === mtime) return cached.doc;
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  let doc = null;
+  if (!isIndexNote(content)) {
+    const note = parseNote(content);
+    const relative = path.relative(vault, filePath).split(path.sep).join('/');
+    const date = (fieldValue(note, 'date') || path.basename(filePath)).match(/^\d{4}-\d{2}-\d{2}/);
+    const text = note.body.replace(/\n*\[\[[^\]]*\]\]\s*$/, '').trim();
+    doc = {
+      id: `vault:${relative}`,
+      kind: 'vault',
+      profile,
+      title: firstLine(note.body) || path.basename(filePath, '.md'),
+      date: date ? date[0] : null,
+      tags: readTags(note).tags,
+      text,
+      tokens: tokenize(text),
+      path: relative,
+      obsidianUrl: `obsidian://open?vault=${encodeURIComponent(path.basename(vault))}&file=${encodeURIComponent(relative.replace(/\.md$/, ''))}`,
+    };
+  }
+  noteCache.set(filePath, { mtime, doc });
+  return doc;
+}
+
+// Notes in the given journal folders ([{ dir, vault, profile }]) as search
+// documents. Folders that don't exist on this machine are skipped.
+function vaultDocuments(folders) {
+  const docs = [];
+  const seen = new Set();
+  for (const { dir, vault, profile } of folders) {
+    for (const filePath of walkNotes(dir)) {
+      if (seen.has(filePath)) continue;
+      seen.add(filePath);
+      const doc = readVaultNote(filePath, { vault, profile });
+      if (doc) docs.push(doc);
+    }
+  }
+  return docs;
+}
+
+module.exports = { parseQuery, searchDocuments, vaultDocuments };
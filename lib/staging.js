@@ -0,0 +1,128 @@
+// Staged imports: transcriptions from `import.js --stage` that wait for review
+// in the web app before they are written to the vault.
+//
+// Each profile has its own staging folder holding staged.json (the proposed
+// entries) and pages/ (copies of the page images they came from).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vault = require('./vault');
+
+// Errors carry an HTTP status for the web app's review routes
+function reviewError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function manifestFile(profile) {
+  return path.join(profile.stagingDir, 'staged.json');
+}
+
+function pagesDir(profile) {
+  return path.join(profile.stagingDir, 'pages');
+}
+
+function loadStaged(profile) {
+  const file = manifestFile(profile);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+function saveStaged(profile, entries) {
+  fs.mkdirSync(profile.stagingDir, { recursive: true });
+  fs.writeFileSync(manifestFile(profile), JSON.stringify(entries, null, 2));
+}
+
+// Page files still referenced by an entry awaiting review
+function stagedPages(profile) {
+  return new Set(loadStaged(profile).flatMap(e => e.pages));
+}
+
+// Adds a stitched entry ({ date, text, pages }, plus problems and
+// suggestedDate when its date was flagged) and copies its page images out of
+// the input folder so review doesn't depend on them staying there.
+// `pagePath` finds a page's image, for pages already archived elsewhere.
+function stageEntry(profile, entry, pagePath = page => path.join(profile.inputDir, page)) {
+  fs.mkdirSync(pagesDir(profile), { recursive: true });
+  for (const page of entry.pages) {
+    const target = path.join(pagesDir(profile), page);
+    if (!fs.existsSync(target)) fs.copyFileSync(pagePath(page), target);
+  }
+  const staged = {
+    id: crypto.randomUUID(),
+    date: entry.date,
+    text: entry.text,
+    pages: entry.pages,
+    segment: entry.segment || 0,
+    ...(entry.problems?.length ? { problems: entry.problems, suggestedDate: entry.suggestedDate || null } : {}),
+    stagedAt: new Date().toISOString(),
+  };
+  saveStaged(profile, [...loadStaged(profile), staged]);
+  return staged;
+}
+
+function stagedPagePath(profile, page) {
+  if (page !== path.basename(page)) return null;
+  const file = path.join(pagesDir(profile), page);
+  return fs.existsSync(file) ? file : null;
+}
+
+function findStaged(profile, id) {
+  const entries = loadStaged(profile);
+  const index = entries.findIndex(e => e.id === id);
+  if (index === -1) throw reviewError(404, 'Staged entry not found.');
+  return { entries, index };
+}
+
+function checkFields(fields) {
+  if (fields.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(fields.date)) {
+    throw reviewError(400, 'date must be YYYY-MM-DD');
+  }
+  if (fields.text !== undefined && typeof fields.text !== 'string') {
+    throw reviewError(400, 'text must be a string');
+  }
+}
+
+function updateStaged(profile, id, { date, text }) {
+  checkFields({ date, text });
+  const { entries, index } = findStaged(profile, id);
+  const entry = { ...entries[index] };
+  if (date !== undefined) entry.date = date;
+  if (text !== undefined) entry.text = text;
+  entries[index] = entry;
+  saveStaged(profile, entries);
+  return entry;
+}
+
+// Drops an entry and any page copies no other staged entry still needs
+function removeStaged(profile, entries, index) {
+  const [removed] = entries.splice(index, 1);
+  saveStaged(profile, entries);
+  const stillUsed = new Set(entries.flatMap(e => e.pages));
+  for (const page of removed.pages) {
+    const file = path.join(pagesDir(profile), page);
+    if (!stillUsed.has(page) && fs.existsSync(file)) fs.unlinkSync(file);
+  }
+  return removed;
+}
+
+// Writes the (optionally edited) entry to the vault; returns the note path
+function approveStaged(profile, id, { date, text } = {}) {
+  checkFields({ date, text });
+  const { entries, index } = findStaged(profile, id);
+  const entry = { ...entries[index] };
+  if (date !== undefined) entry.date = date;
+  if (text !== undefined) entry.text = text;
+  if (!entry.date) throw reviewError(400, 'A date is required before approving.');
+  const { filePath } = vault.writeEntry(profile, entry);
+  removeStaged(profile, entries, index);
+  return filePath;
+}
+
+function rejectStaged(profile, id) {
+  const { entries, index } = findStaged(profile, id);
+  return removeStaged(profile, entries, index);
+}
+
+module.exports = {
+  loadStaged, stagedPages, stageEntry, stagedPagePath,
+  updateStaged, approveStaged, rejectStaged,
+};
@@ -0,0 +1,66 @@
+// Joining journal entries that run across page breaks.
+//
+// Pages are OCR engine results: { isContinuation, entries: [{ date, text, continues }] }.
+// Stitched entries carry `pages`, the labels of every page they came from, and
+// `segment`, the entry's position on its first page (so page + segment names
+// the entry across runs).
+
+// Importer flow: one page at a time, carrying the unfinished entry between
+// pages (and between runs, via the progress file).
+function applyPage(pendingEntry, parsed, page) {
+  const completed = [];
+  const segments = parsed.entries || [];
+  const start = (date, text, segment) => ({ date, text, pages: [page], segment });
+  const take = (entry, continues) => {
+    if (continues) {
+      pendingEntry = entry;
+    } else {
+      completed.push(entry);
+    }
+  };
+
+  if (parsed.isContinuation && pendingEntry) {
+    pendingEntry.text += '\n\n' + (segments[0]?.text || '');
+    pendingEntry.pages = [...(pendingEntry.pages || []), page];
+    if (!segments[0]?.continues) {
+      completed.push(pendingEntry);
+      pendingEntry = null;
+    }
+    segments.forEach((entry, i) => {
+      if (i > 0) take(start(entry.date, entry.text, i), entry.continues);
+    });
+  } else {
+    // A fresh page means the entry we were holding ended on the previous one
+    if (pendingEntry) {
+      completed.push(pendingEntry);
+      pendingEntry = null;
+    }
+    segments.forEach((entry, i) => {
+      if (entry.date) take(start(entry.date, entry.text, i), entry.continues);
+    });
+  }
+
+  return { completed, pendingEntry };
+}
+
+// Web scan sessions: all pages are known up front, so a page that opens
+// mid-entry is always joined to the entry before it, even when the engine
+// (Vision, Tesseract) can't tell that the earlier page ran off the bottom.
+// Text is never dropped; a leading segment with nothing to join keeps a null date.
+function stitchSession(pages) {
+  const entries = [];
+  pages.forEach((parsed, index) => {
+    (parsed.entries || []).forEach((segment, i) => {
+      const last = entries[entries.length - 1];
+      if (i === 0 && parsed.isContinuation && last) {
+        last.text += '\n\n' + segment.text;
+        if (!last.pages.includes(index)) last.pages.push(index);
+      } else {
+        entries.push({ date: segment.date || null, text: segment.text, pages: [index] });
+      }
+    });
+  });
+  return entries;
+}
+
+module.exports = { applyPage, stitchSession };
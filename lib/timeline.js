@@ -0,0 +1,97 @@
+// The web app's calendar (/api/timeline): which days have entries, "On this
+// day" from earlier years, and the current and longest writing streaks and
+// recent gaps.
+//
+// Works on items from any source, { date: 'YYYY-MM-DD', source, title, ... };
+// the server gathers them from stored scans, Notion and the vault.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GAP_WINDOW_DAYS = 365;
+const MIN_GAP_DAYS = 2;
+const MAX_GAPS = 5;
+const RECENT_DAYS = 30;
+
+function toDay(date) {
+  return Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10))) / DAY_MS;
+}
+
+function fromDay(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Runs of consecutive days with entries: [{ start, end, days }] as YYYY-MM-DD
+function writingRuns(days) {
+  const runs = [];
+  for (const day of days) {
+    const last = runs[runs.length - 1];
+    if (last && day === last.endDay + 1) {
+      last.endDay = day;
+    } else {
+      runs.push({ startDay: day, endDay: day });
+    }
+  }
+  return runs.map(run => ({ start: fromDay(run.startDay), end: fromDay(run.endDay), days: run.endDay - run.startDay + 1 }));
+}
+
+// Summary for one month of the calendar:
+//   { month, days: { date: [items] }, onThisDay: [{ ...item, yearsAgo }],
+//     streak: { current, currentStart, longest, longestStart, longestEnd },
+//     recent: { written, missed, days }, gaps: [{ from, to, days }],
+//     range: { first, last }, counts: { [source]: n } }
+// `day` picks the date "On this day" is for; `today` ends the streak and gaps.
+function summarizeTimeline(items, { month, day, today }) {
+  const dated = items.filter(item => /^\d{4}-\d{2}-\d{2}$/.test(item.date || ''));
+  dated.sort((a, b) => a.date.localeCompare(b.date) || String(a.title).localeCompare(String(b.title)));
+
+  const days = {};
+  for (const item of dated) {
+    if (item.date.slice(0, 7) === month) (days[item.date] = days[item.date] || []).push(item);
+  }
+
+  const [year, monthDay] = [Number(day.slice(0, 4)), day.slice(5)];
+  const onThisDay = dated
+    .filter(item => item.date.slice(5) === monthDay && Number(item.date.slice(0, 4)) < year)
+    .map(item => ({ ...item, yearsAgo: year - Number(item.date.slice(0, 4)) }))
+    .reverse();
+
+  const todayDay = toDay(today);
+  const written = [...new Set(dated.map(item => toDay(item.date)))].filter(d => d <= todayDay);
+  const runs = writingRuns(written);
+  const longest = runs.reduce((best, run) => (!best || run.days > best.days ? run : best), null);
+  const latest = runs[runs.length - 1];
+  // A streak ending yesterday is still current: today may not be written yet
+  const current = latest && toDay(latest.end) >= todayDay - 1 ? latest : null;
+
+  const gaps = [];
+  const windowStart = todayDay - GAP_WINDOW_DAYS;
+  for (let i = 0; i < runs.length; i++) {
+    const from = toDay(runs[i].end) + 1;
+    const to = i + 1 < runs.length ? toDay(runs[i + 1].start) - 1 : todayDay - 1;
+    if (to < windowStart || to - from + 1 < MIN_GAP_DAYS) continue;
+    gaps.push({ from: fromDay(Math.max(from, windowStart)), to: fromDay(to), days: to - Math.max(from, windowStart) + 1 });
+  }
+  gaps.sort((a, b) => b.days - a.days || b.to.localeCompare(a.to));
+
+  const recentWritten = written.filter(d => d > todayDay - RECENT_DAYS).length;
+  const counts = {};
+  for (const item of dated) counts[item.source] = (counts[item.source] || 0) + 1;
+
+  return {
+    month,
+    days,
+    onThisDay,
+    streak: {
+      current: current ? current.days : 0,
+      currentStart: current ? current.start : null,
+      longest: longest ? longest.days : 0,
+      longestStart: longest ? longest.start : null,
+      longestEnd: longest ? longest.end : null,
+    },
+    recent: { days: RECENT_DAYS, written: recentWritten, missed: RECENT_DAYS - recentWritten },
+    gaps: gaps.slice(0, MAX_GAPS),
+    range: dated.length ? { first: dated[0].date, last: dated[dated.length - 1].date } : null,
+    counts,
+  };
+}
+
+module.exports = { summarizeTimeline };
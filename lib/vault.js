@@ -0,0 +1,54 @@
+// Writing notes into the Obsidian vault: folder layout and note format.
+const fs = require('fs');
+const path = require('path');
+const { placeNote } = require('./registry');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+                     'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Layout tokens: {year} {month} (two digits) {monthName} {day}
+function entryFolder(journalDir, date, layout = '{year}/{month} - {monthName}') {
+  const [year, month, day] = date.split('-');
+  const relative = layout
+    .replace(/\{year\}/g, year)
+    .replace(/\{month\}/g, month)
+    .replace(/\{monthName\}/g, MONTH_NAMES[parseInt(month) - 1])
+    .replace(/\{day\}/g, day);
+  return path.join(journalDir, ...relative.split('/'));
+}
+
+// Every .md file under `dir`, in subfolders too ([] if `dir` doesn't exist)
+function walkNotes(dir, files = []) {
+  if (!fs.existsSync(dir)) return files;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) walkNotes(fullPath, files);
+    else if (entry.isFile() && entry.name.endsWith('.md')) files.push(fullPath);
+  }
+  return files;
+}
+
+function buildNote({ date, tags, hubLink, text }) {
+  const footer = hubLink ? `\n\n[[${hubLink}]]` : '';
+  return `---\ndate: ${date}\ntags: [${tags.join(', ')}]\n---\n\n${text.trim()}${footer}\n`;
+}
+
+// Registry key for a stitched entry: the page it starts on and its place there
+function entrySource(entry) {
+  return `${entry.pages[0]}#${entry.segment || 0}`;
+}
+
+// Writes one stitched entry ({ date, text, pages, segment }) for an import
+// profile through the note registry; returns { filePath, status } (see
+// placeNote in lib/registry.js).
+function writeEntry(profile, entry) {
+  return placeNote(profile.registryFile, {
+    source: entrySource(entry),
+    dir: entryFolder(profile.journalDir, entry.date, profile.folderLayout),
+    date: entry.date,
+    content: buildNote({ date: entry.date, tags: profile.tags, hubLink: profile.hubLink, text: entry.text }),
+    pages: entry.pages,
+  });
+}
+
+module.exports = { MONTH_NAMES, entryFolder, walkNotes, buildNote, entrySource, writeEntry };
@@ -1,21 +1,31 @@
 // ============================================================
 // Journal Scanner — Full-Stack Server (v2: Server-Side Settings)
 // ============================================================
-// Settings are stored in a JSON file on disk so they persist
-// across restarts and work from any device.
+// Settings and scanned entries are stored in JSON files on disk
+// so they persist across restarts and work from any device.
 //
 // Deploy to Render (with a persistent disk mounted at /data):
 //   Build command: npm install
 //   Start command: node server.js
 //   Env var (optional): SETTINGS_DIR=/data
 //
-// Dependencies: express, cors
+// Dependencies: express, cors, sharp, @anthropic-ai/sdk
 // ============================================================
 
 const express = require("express");
 const cors = require("cors");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { ENGINES, createEngine } = require("./lib/ocr-engines");
+const { stitchSession } = require("./lib/stitch");
+const { preprocessImage } = require("./lib/preprocess");
+const { toPages } = require("./lib/input-formats");
+const { loadProfiles, resolveProfile } = require("./lib/profiles");
+const staging = require("./lib/staging");
+const { searchDocuments, vaultDocuments } = require("./lib/search");
+const { summarizeTimeline } = require("./lib/timeline");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -24,6 +34,25 @@ const PORT = process.env.PORT || 3001;
 // Use SETTINGS_DIR env var for Render persistent disk, fallback to ./data
 const SETTINGS_DIR = process.env.SETTINGS_DIR || path.join(__dirname, "data");
 const SETTINGS_FILE = path.join(SETTINGS_DIR, "settings.json");
+const SETTINGS_DEFAULTS = {
+  notionToken: "",
+  notionDatabaseId: "",
+  googleVisionKey: "",
+  anthropicApiKey: "",
+  ocrEngine: "google-vision",
+  notionTitleProperty: "Name",
+  notionDateProperty: "Date",
+  notionTagsProperty: "Tags",
+  notionSourceProperty: "Source",
+  notionFilesProperty: "",
+};
+
+// Which settings key each OCR engine needs (tesseract runs locally)
+const ENGINE_KEY_SETTINGS = {
+  "google-vision": "googleVisionKey",
+  anthropic: "anthropicApiKey",
+  tesseract: null,
+};
 
 function ensureSettingsDir() {
   if (!fs.existsSync(SETTINGS_DIR)) {
@@ -36,23 +65,22 @@ function loadSettings() {
     ensureSettingsDir();
     if (fs.existsSync(SETTINGS_FILE)) {
       const raw = fs.readFileSync(SETTINGS_FILE, "utf-8");
-      return JSON.parse(raw);
+      return trimPropertyNames({ ...SETTINGS_DEFAULTS, ...JSON.parse(raw) });
     }
   } catch (err) {
     console.error("Failed to load settings:", err.message);
   }
-  return { notionToken: "", notionDatabaseId: "", googleVisionKey: "" };
+  return { ...SETTINGS_DEFAULTS };
 }
 
 function saveSettings(settings) {
   try {
     ensureSettingsDir();
-    const toSave = {
-      notionToken: settings.notionToken || "",
-      notionDatabaseId: settings.notionDatabaseId || "",
-      googleVisionKey: settings.googleVisionKey || "",
-    };
-    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(toSave, null, 2), "utf-8");
+    const toSave = {};
+    for (const field of Object.keys(SETTINGS_DEFAULTS)) {
+      toSave[field] = settings[field] ?? SETTINGS_DEFAULTS[field];
+    }
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(trimPropertyNames(toSave), null, 2), "utf-8");
     return true;
   } catch (err) {
     console.error("Failed to save settings:", err.message);
@@ -67,6 +95,277 @@ function maskKey(key, prefix) {
   return pre + "••••••••" + suf;
 }
 
+function isConfigured(settings) {
+  const keySetting = ENGINE_KEY_SETTINGS[settings.ocrEngine];
+  const hasOcrKey = keySetting === null || Boolean(settings[keySetting]);
+  return Boolean(settings.notionToken && settings.notionDatabaseId && hasOcrKey);
+}
+
+function ocrEngineFromSettings(settings) {
+  return createEngine(settings.ocrEngine, {
+    apiKey: settings[ENGINE_KEY_SETTINGS[settings.ocrEngine]],
+    rawResponseDir: path.join(SETTINGS_DIR, "raw-responses"),
+  });
+}
+
+// What the browser gets to see: secrets masked, everything else as-is
+function publicSettings(settings) {
+  return {
+    notionToken: maskKey(settings.notionToken, "secret_"),
+    notionDatabaseId: settings.notionDatabaseId || "",
+    googleVisionKey: maskKey(settings.googleVisionKey),
+    anthropicApiKey: maskKey(settings.anthropicApiKey, "sk-ant-"),
+    ocrEngine: settings.ocrEngine,
+    notionTitleProperty: settings.notionTitleProperty,
+    notionDateProperty: settings.notionDateProperty,
+    notionTagsProperty: settings.notionTagsProperty,
+    notionSourceProperty: settings.notionSourceProperty,
+    notionFilesProperty: settings.notionFilesProperty || "",
+    isConfigured: isConfigured(settings),
+  };
+}
+
+const SECRET_FIELDS = ["notionToken", "googleVisionKey", "anthropicApiKey"];
+
+// ── Notion API ──
+const NOTION_VERSION = "2022-06-28";
+
+async function notionRequest(token, endpoint, method = "GET", body) {
+  const response = await fetch("https://api.notion.com/v1/" + endpoint, {
+    method,
+    headers: {
+      Authorization: "Bearer " + token,
+      "Content-Type": "application/json",
+      "Notion-Version": NOTION_VERSION,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+}
+
+function notionErrorMessage(status, data) {
+  if (data.code === "unauthorized") return "Notion rejected the integration token. Check it in Settings.";
+  if (data.code === "object_not_found") return "Notion database not found. Check the Database ID and make sure the database is shared with your integration.";
+  if (data.code === "rate_limited") return "Notion rate limit hit. Wait a moment and try again.";
+  if (data.code === "validation_error" && /propert/i.test(data.message || "")) {
+    return data.message + " Check the property names in Settings, or use Verify Database there.";
+  }
+  return data.message || "Notion API error: " + status;
+}
+
+// Where each entry field goes in the Notion database: the setting naming the
+// property and the type that property must have. Title and date are
+// required; a blank setting leaves the others out of new pages.
+const NOTION_FIELDS = [
+  { field: "title", setting: "notionTitleProperty", type: "title", label: "Title", required: true },
+  { field: "date", setting: "notionDateProperty", type: "date", label: "Date", required: true },
+  { field: "tags", setting: "notionTagsProperty", type: "multi_select", label: "Tags" },
+  { field: "source", setting: "notionSourceProperty", type: "select", label: "Source" },
+  { field: "files", setting: "notionFilesProperty", type: "files", label: "Scan files" },
+];
+
+// Property names are matched exactly, so they are stored and used trimmed,
+// as Verify checks them (see schemaMapping)
+function trimPropertyNames(settings) {
+  for (const { setting } of NOTION_FIELDS) {
+    if (typeof settings[setting] === "string") settings[setting] = settings[setting].trim();
+  }
+  return settings;
+}
+
+// The mapped properties against the database's schema:
+// [{ field, label, setting, property, type, status, actualType, candidates }]
+// where status is "ok", "missing", "wrong-type" or "unused" (left blank), and
+// candidates are the database's properties of the right type.
+function checkNotionSchema(database, mapping) {
+  const properties = Object.values(database.properties || {});
+  return NOTION_FIELDS.map(({ field, label, setting, type }) => {
+    const property = mapping[setting];
+    const base = { field, label, setting, property, type };
+    if (!property) return { ...base, status: "unused" };
+    const actual = properties.find(p => p.name === property);
+    if (actual && actual.type === type) return { ...base, status: "ok" };
+    return {
+      ...base,
+      status: actual ? "wrong-type" : "missing",
+      actualType: actual ? actual.type : null,
+      candidates: properties.filter(p => p.type === type).map(p => p.name),
+    };
+  });
+}
+
+// Errors carrying an HTTP status are passed straight through to the client
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ── Scan images → Notion file uploads ──
+// 5 MB is the per-file limit on free Notion workspaces; phone photos are
+// usually well over it, so scans are re-encoded (and shrunk if needed).
+const NOTION_MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+async function prepareScanForNotion(buffer) {
+  let maxSide = 2400;
+  let quality = 82;
+  for (;;) {
+    let out;
+    try {
+      out = await sharp(buffer)
+        .rotate() // apply EXIF orientation before it gets stripped
+        .resize({ width: maxSide, height: maxSide, fit: "inside", withoutEnlargement: true })
+        .jpeg({ quality, mozjpeg: true })
+        .toBuffer();
+    } catch (err) {
+      throw httpError(422, "Could not read the scan image: " + err.message);
+    }
+    if (out.length <= NOTION_MAX_UPLOAD_BYTES || maxSide <= 800) return out;
+    maxSide = Math.round(maxSide * 0.75);
+    quality = Math.max(60, quality - 8);
+  }
+}
+
+// Single-part upload: create the file upload object, then send the bytes
+async function uploadToNotion(token, buffer, filename) {
+  const created = await notionRequest(token, "file_uploads", "POST", {
+    mode: "single_part", filename, content_type: "image/jpeg",
+  });
+  if (!created.ok) {
+    throw httpError(created.status, "Image upload failed: " + notionErrorMessage(created.status, created.data));
+  }
+  const form = new FormData();
+  form.append("file", new Blob([buffer], { type: "image/jpeg" }), filename);
+  const response = await fetch("https://api.notion.com/v1/file_uploads/" + created.data.id + "/send", {
+    method: "POST",
+    headers: { Authorization: "Bearer " + token, "Notion-Version": NOTION_VERSION },
+    body: form,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw httpError(response.status, "Image upload failed: " + notionErrorMessage(response.status, data));
+  }
+  return created.data.id;
+}
+
+// Adds an "Original Scan" section with the uploaded images, and fills the
+// optional Files property so the scans also show up in database views.
+function attachScans(pageBody, uploads, filesProperty) {
+  pageBody.children = [
+    ...(pageBody.children || []),
+    { object: "block", type: "divider", divider: {} },
+    { object: "block", type: "heading_2", heading_2: { rich_text: [{ type: "text", text: { content: "Original Scan" } }] } },
+    ...uploads.map(u => ({ object: "block", type: "image", image: { type: "file_upload", file_upload: { id: u.id } } })),
+  ];
+  if (filesProperty) {
+    pageBody.properties[filesProperty] = {
+      files: uploads.map(u => ({ type: "file_upload", file_upload: { id: u.id }, name: u.name })),
+    };
+  }
+}
+
+// Scans are uploaded before the page is created, so a page Notion would turn
+// down (a property renamed or retyped in Notion) has to be caught first, or
+// every resend leaves another set of unused uploads behind. Each property in
+// the page, and the Files property the scans go into, must exist in the
+// database with the type the page gives it.
+function pagePropertyProblems(database, pageBody, filesProperty) {
+  const properties = Object.values(database.properties || {});
+  const wanted = Object.entries(pageBody.properties).map(([name, value]) => [name, value.type || Object.keys(value)[0]]);
+  if (filesProperty) wanted.push([filesProperty, "files"]);
+  const problems = [];
+  for (const [name, type] of wanted) {
+    const actual = properties.find(p => p.name === name);
+    if (!actual) problems.push("\u201c" + name + "\u201d is not in the database");
+    else if (actual.type !== type) problems.push("\u201c" + name + "\u201d is a " + actual.type + " property, not " + type);
+  }
+  return problems;
+}
+
+// ── Entries persistence ──
+// Scanned entries live next to settings.json; scan images are kept as
+// files under images/ so entries.json stays small.
+const ENTRIES_FILE = path.join(SETTINGS_DIR, "entries.json");
+const IMAGES_DIR = path.join(SETTINGS_DIR, "images");
+const SYNC_STATUSES = ["local", "pending", "synced", "failed"];
+
+function loadEntries() {
+  try {
+    if (fs.existsSync(ENTRIES_FILE)) {
+      return JSON.parse(fs.readFileSync(ENTRIES_FILE, "utf-8")).map(normalizeEntry);
+    }
+  } catch (err) {
+    console.error("Failed to load entries:", err.message);
+  }
+  return [];
+}
+
+// Entries saved before multi-page sessions had a single `image`
+function normalizeEntry(entry) {
+  if (entry.images) return entry;
+  const { image, ...rest } = entry;
+  return { ...rest, images: image ? [image] : [] };
+}
+
+function saveEntries(entries) {
+  ensureSettingsDir();
+  fs.writeFileSync(ENTRIES_FILE, JSON.stringify(entries, null, 2), "utf-8");
+}
+
+// Writes page scans (data: URLs, in page order) to disk and returns the file names
+function saveEntryImages(id, dataUrls) {
+  if (!Array.isArray(dataUrls)) throw new Error("images must be an array of data: URLs");
+  const decoded = dataUrls.map(dataUrl => {
+    const match = /^data:image\/([a-z0-9.+-]+);base64,(.+)$/i.exec(dataUrl || "");
+    if (!match) throw new Error("images must be base64 data: URLs");
+    const ext = match[1].toLowerCase() === "jpeg" ? "jpg" : match[1].toLowerCase().replace(/[^a-z0-9]/g, "");
+    return { ext, data: Buffer.from(match[2], "base64") };
+  });
+  fs.mkdirSync(IMAGES_DIR, { recursive: true });
+  return decoded.map((img, i) => {
+    const fileName = id + "-" + (i + 1) + "." + img.ext;
+    fs.writeFileSync(path.join(IMAGES_DIR, fileName), img.data);
+    return fileName;
+  });
+}
+
+function deleteEntryImages(fileNames) {
+  for (const fileName of fileNames) {
+    const filePath = path.join(IMAGES_DIR, fileName);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+}
+
+function publicEntry(entry) {
+  const { images, ...rest } = entry;
+  const imageUrls = images.map((_, i) => "/api/entries/" + entry.id + "/images/" + i);
+  return { ...rest, imageUrls, imageUrl: imageUrls[0] || null };
+}
+
+// Fields that can be cleared with null; the rest must stay strings
+const NULLABLE_ENTRY_FIELDS = ["notionPageId", "notionUrl", "syncError"];
+
+// Copies the editable fields from a request body, rejecting bad values
+function entryFields(body) {
+  const fields = {};
+  for (const key of ["title", "date", "tags", "ocrText", ...NULLABLE_ENTRY_FIELDS]) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null && NULLABLE_ENTRY_FIELDS.includes(key)) {
+      fields[key] = null;
+      continue;
+    }
+    if (typeof body[key] !== "string") throw new Error(key + " must be a string");
+    fields[key] = body[key];
+  }
+  if (fields.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(fields.date)) throw new Error("date must be YYYY-MM-DD");
+  if (body.syncStatus !== undefined) {
+    if (!SYNC_STATUSES.includes(body.syncStatus)) throw new Error("syncStatus must be one of: " + SYNC_STATUSES.join(", "));
+    fields.syncStatus = body.syncStatus;
+  }
+  return fields;
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: "50mb" }));
@@ -76,56 +375,570 @@ app.get("/api/health", (req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
-// Proxy endpoint for Google Cloud Vision API
-app.post('/api/vision', async (req, res) => {
+// ── Settings API ──
+app.get("/api/settings", (req, res) => {
+  res.json(publicSettings(loadSettings()));
+});
+
+app.put("/api/settings", (req, res) => {
+  const current = loadSettings();
+  const next = { ...current };
+  for (const field of Object.keys(SETTINGS_DEFAULTS)) {
+    const value = req.body[field];
+    if (typeof value !== "string") continue;
+    // The form echoes back the masked value when a key wasn't touched
+    if (SECRET_FIELDS.includes(field) && value.includes("••••")) continue;
+    next[field] = value.trim();
+  }
+  if (!ENGINES[next.ocrEngine]) {
+    return res.status(400).json({ success: false, message: "Unknown OCR engine: " + next.ocrEngine });
+  }
+  const blank = NOTION_FIELDS.find(f => f.required && !next[f.setting]);
+  if (blank) {
+    return res.status(400).json({ success: false, message: "The Notion " + blank.label + " property name can't be blank." });
+  }
+  if (!saveSettings(next)) {
+    return res.status(500).json({ success: false, message: "Could not write settings file on the server." });
+  }
+  res.json({ success: true, ...publicSettings(next) });
+});
+
+// ── Entries API ──
+app.get("/api/entries", (req, res) => {
+  const entries = loadEntries().sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt));
+  res.json(entries.map(publicEntry));
+});
+
+app.get("/api/entries/:id", (req, res) => {
+  const entry = loadEntries().find(e => e.id === req.params.id);
+  if (!entry) return res.status(404).json({ message: "Entry not found." });
+  res.json(publicEntry(entry));
+});
+
+app.get("/api/entries/:id/images/:n", (req, res) => {
+  const entry = loadEntries().find(e => e.id === req.params.id);
+  const fileName = entry && entry.images[Number(req.params.n)];
+  if (!fileName) return res.status(404).json({ message: "Image not found." });
+  res.sendFile(path.join(IMAGES_DIR, fileName));
+});
+
+app.post("/api/entries", (req, res) => {
   try {
-    const response = await fetch(
-      `https://api.notion.com/v1/databases/${req.params.id}/query`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: "Bearer " + token,
-          "Content-Type": "application/json",
-          "Notion-Version": "2022-06-28",
-        },
-        body: JSON.stringify(req.body),
-      }
+    const fields = entryFields(req.body || {});
+    if (!fields.date) throw new Error("date is required");
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+    const entry = {
+      id, title: "", tags: "", ocrText: "", notionPageId: null, notionUrl: null, syncStatus: "local",
+      ...fields,
+      images: req.body.images ? saveEntryImages(id, req.body.images) : [],
+      createdAt: now, updatedAt: now,
+    };
+    const entries = loadEntries();
+    entries.push(entry);
+    saveEntries(entries);
+    res.status(201).json(publicEntry(entry));
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+app.put("/api/entries/:id", (req, res) => {
+  const entries = loadEntries();
+  const index = entries.findIndex(e => e.id === req.params.id);
+  if (index === -1) return res.status(404).json({ message: "Entry not found." });
+  try {
+    const entry = { ...entries[index], ...entryFields(req.body || {}), updatedAt: new Date().toISOString() };
+    if (entry.syncStatus === "synced") entry.syncError = null;
+    if (req.body.images) {
+      const images = saveEntryImages(entry.id + "-" + Date.now(), req.body.images);
+      deleteEntryImages(entry.images);
+      entry.images = images;
+    }
+    entries[index] = entry;
+    saveEntries(entries);
+    res.json(publicEntry(entry));
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+app.delete("/api/entries/:id", (req, res) => {
+  const entries = loadEntries();
+  const entry = entries.find(e => e.id === req.params.id);
+  if (!entry) return res.status(404).json({ message: "Entry not found." });
+  deleteEntryImages(entry.images);
+  saveEntries(entries.filter(e => e.id !== entry.id));
+  res.json({ success: true });
+});
+
+// ── Search API ──
+// GET /api/search?q=&from=&to=&tags=a,b&sort=&page=&pageSize=&vault=1
+// Searches the stored scans, plus the notes in each import profile's
+// journal folder with vault=1 (folders missing on this machine are skipped).
+const SEARCH_PAGE_SIZE = 20;
+
+function scanDocument(entry) {
+  return {
+    id: entry.id,
+    kind: "scan",
+    title: entry.title,
+    date: entry.date,
+    tags: (entry.tags || "").split(",").map(t => t.trim()).filter(Boolean),
+    text: entry.ocrText || "",
+  };
+}
+
+function journalFolders() {
+  const folders = [];
+  for (const name of Object.keys(loadProfiles())) {
+    try {
+      const profile = resolveProfile(name);
+      folders.push({ dir: profile.journalDir, vault: profile.vault, profile: name });
+    } catch (err) {
+      console.error("Skipping profile " + name + ":", err.message);
+    }
+  }
+  return folders;
+}
+
+app.get("/api/search", (req, res) => {
+  const { q = "", from = "", to = "", tags = "", sort = "", vault } = req.query;
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return res.status(400).json({ message: name + " must be YYYY-MM-DD" });
+  }
+  if (sort && !["relevance", "newest", "oldest"].includes(sort)) {
+    return res.status(400).json({ message: "sort must be relevance, newest or oldest" });
+  }
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || SEARCH_PAGE_SIZE));
+  const page = Math.max(0, parseInt(req.query.page, 10) || 0);
+  try {
+    const docs = loadEntries().map(scanDocument);
+    const vaultDocs = vault === "1" ? vaultDocuments(journalFolders()) : [];
+    const result = searchDocuments([...docs, ...vaultDocs], {
+      q: String(q),
+      from: from || undefined,
+      to: to || undefined,
+      tags: String(tags).split(",").filter(t => t.trim()),
+      sort: sort || undefined,
+      offset: page * pageSize,
+      limit: pageSize,
+    });
+    res.json({ ...result, page, pageSize, vaultNotes: vault === "1" ? vaultDocs.length : null });
+  } catch (err) {
+    console.error("Search error:", err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ── Timeline API ──
+// GET /api/timeline?month=YYYY-MM&day=YYYY-MM-DD&today=YYYY-MM-DD[&refresh=1]
+// Dated entries from every source for the calendar: stored scans, pages in
+// the Notion database (cached for a few minutes; refresh=1 refetches) and
+// the notes in the profiles' journal folders, Day One imports among them.
+// `today` is the browser's date, so streaks follow the user's time zone.
+const NOTION_TIMELINE_TTL = 5 * 60 * 1000;
+const NOTION_TIMELINE_MAX_PAGES = 20;
+let notionTimelineCache = null;
+
+async function notionTimelineItems(settings, refresh) {
+  const key = settings.notionDatabaseId + "|" + settings.notionDateProperty;
+  if (!refresh && notionTimelineCache && notionTimelineCache.key === key &&
+      Date.now() - notionTimelineCache.at < NOTION_TIMELINE_TTL) {
+    return notionTimelineCache.items;
+  }
+  const items = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const body = { page_size: 100 };
+    if (cursor) body.start_cursor = cursor;
+    const { ok, status, data } = await notionRequest(
+      settings.notionToken, "databases/" + settings.notionDatabaseId + "/query", "POST", body
     );
-    const data = await response.json();
-    if (!response.ok) {
-      return res.status(response.status).json({
-        message: data.message || "Notion API error",
-        code: data.code,
+    if (!ok) throw httpError(status, notionErrorMessage(status, data));
+    for (const page of data.results) {
+      const props = page.properties || {};
+      const title = Object.values(props).find(p => p.type === "title");
+      items.push({
+        id: page.id,
+        source: "notion",
+        title: (title ? title.title : []).map(t => t.plain_text).join("") || "Untitled",
+        date: (props[settings.notionDateProperty]?.date?.start || page.created_time).slice(0, 10),
+        url: page.url,
+      });
+    }
+    cursor = data.has_more ? data.next_cursor : null;
+  } while (cursor && ++pages < NOTION_TIMELINE_MAX_PAGES);
+  notionTimelineCache = { key, at: Date.now(), items };
+  return items;
+}
+
+app.get("/api/timeline", async (req, res) => {
+  const { month, day, today, refresh } = req.query;
+  if (!/^\d{4}-\d{2}$/.test(month || "")) return res.status(400).json({ message: "month must be YYYY-MM" });
+  for (const [name, value] of [["day", day], ["today", today]]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return res.status(400).json({ message: name + " must be YYYY-MM-DD" });
+  }
+  try {
+    const scans = loadEntries();
+    const items = scans.map(entry => ({
+      id: entry.id, source: "scan", title: entry.title || "Untitled", date: entry.date, url: entry.notionUrl || null,
+    }));
+
+    // Synced scans are already on the calendar; only Notion-only pages are added
+    const settings = loadSettings();
+    let notionError = null;
+    if (settings.notionToken && settings.notionDatabaseId) {
+      const synced = new Set(scans.map(entry => entry.notionPageId).filter(Boolean));
+      try {
+        const pages = await notionTimelineItems(settings, refresh === "1");
+        items.push(...pages.filter(page => !synced.has(page.id)));
+      } catch (err) {
+        notionError = err.status ? err.message : "Could not reach Notion: " + err.message;
+      }
+    }
+
+    for (const doc of vaultDocuments(journalFolders())) {
+      items.push({
+        id: doc.id,
+        source: doc.tags.includes("day-one") ? "dayone" : "vault",
+        title: doc.title,
+        date: doc.date,
+        url: doc.obsidianUrl,
+        profile: doc.profile,
       });
     }
+
+    res.json({ ...summarizeTimeline(items, { month, day, today }), notionError });
+  } catch (err) {
+    console.error("Timeline error:", err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ── Proxy: create a Notion page (keeps token server-side) ──
+app.post("/api/notion/pages", async (req, res) => {
+  const settings = loadSettings();
+  if (!settings.notionToken) {
+    return res.status(401).json({ message: "Notion token not configured. Go to Settings." });
+  }
+  if (!req.body || !req.body.parent || !req.body.properties) {
+    return res.status(400).json({ message: "Request must include parent and properties." });
+  }
+  // entryId (optional) names a stored entry whose page scans should be attached
+  const { entryId, ...pageBody } = req.body;
+  try {
+    const entry = entryId ? loadEntries().find(e => e.id === entryId) : null;
+    if (entry && entry.images.length) {
+      const database = await fetchDatabase(settings, pageBody.parent.database_id);
+      const problems = pagePropertyProblems(database, pageBody, settings.notionFilesProperty);
+      if (problems.length) {
+        return res.status(400).json({
+          message: "Notion would reject this page: " + problems.join("; ") + ". Check the property names in Settings, or use Verify Database there.",
+        });
+      }
+      const uploads = [];
+      for (const [i, fileName] of entry.images.entries()) {
+        const name = "scan-" + entry.date + (entry.images.length > 1 ? "-p" + (i + 1) : "") + ".jpg";
+        const buffer = await prepareScanForNotion(fs.readFileSync(path.join(IMAGES_DIR, fileName)));
+        uploads.push({ id: await uploadToNotion(settings.notionToken, buffer, name), name });
+      }
+      attachScans(pageBody, uploads, settings.notionFilesProperty);
+    }
+    const { ok, status, data } = await notionRequest(settings.notionToken, "pages", "POST", pageBody);
+    if (!ok) {
+      return res.status(status).json({ message: notionErrorMessage(status, data), code: data.code });
+    }
     res.json(data);
   } catch (error) {
     console.error("Notion proxy error:", error);
-    res.status(500).json({ message: error.message });
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(502).json({ message: "Could not reach Notion: " + error.message });
   }
 });
 
-// ── Proxy: OCR via Google Vision (keeps key server-side) ──
-app.post("/api/ocr", async (req, res) => {
+// ── Proxy: query the configured Notion database ──
+// Body may carry Notion's own filter / sorts / start_cursor / page_size.
+app.post("/api/notion/query", async (req, res) => {
   const settings = loadSettings();
-  const key = settings.googleVisionKey;
-  if (!key) {
-    return res.status(401).json({ message: "Google Vision API key not configured. Go to Settings." });
+  if (!settings.notionToken || !settings.notionDatabaseId) {
+    return res.status(401).json({ message: "Notion token and database ID must be configured. Go to Settings." });
   }
+  const { filter, sorts, start_cursor, page_size } = req.body || {};
+  const body = { page_size: Math.min(Number(page_size) || 50, 100) };
+  if (filter) body.filter = filter;
+  if (sorts) body.sorts = sorts;
+  if (start_cursor) body.start_cursor = start_cursor;
   try {
-    const response = await fetch(
-      "https://vision.googleapis.com/v1/images:annotate?key=" + key,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(req.body),
-      }
+    const { ok, status, data } = await notionRequest(
+      settings.notionToken, "databases/" + settings.notionDatabaseId + "/query", "POST", body
+    );
+    if (!ok) {
+      return res.status(status).json({ message: notionErrorMessage(status, data), code: data.code });
+    }
+    res.json({ results: data.results, has_more: data.has_more, next_cursor: data.next_cursor });
+  } catch (error) {
+    console.error("Notion query error:", error);
+    res.status(502).json({ message: "Could not reach Notion: " + error.message });
+  }
+});
+
+// ── Notion database schema: check the property mapping, add what's missing ──
+// Body (optional): { mapping: { notionTitleProperty, ... } } with property
+// names still being edited in Settings; the saved token and database are used.
+// Both routes return { database: { title, url }, fields, properties: [{ name, type }] }
+// with `fields` from checkNotionSchema.
+function schemaMapping(settings, body) {
+  const edited = (body && body.mapping) || {};
+  const mapping = {};
+  for (const { setting } of NOTION_FIELDS) {
+    mapping[setting] = typeof edited[setting] === "string" ? edited[setting].trim() : settings[setting];
+  }
+  return mapping;
+}
+
+function schemaReport(database, mapping) {
+  return {
+    database: { title: (database.title || []).map(t => t.plain_text).join("") || "Untitled", url: database.url },
+    fields: checkNotionSchema(database, mapping),
+    properties: Object.values(database.properties || {}).map(p => ({ name: p.name, type: p.type })),
+  };
+}
+
+async function fetchDatabase(settings, databaseId = settings.notionDatabaseId) {
+  const { ok, status, data } = await notionRequest(settings.notionToken, "databases/" + databaseId);
+  if (!ok) throw httpError(status, notionErrorMessage(status, data));
+  return data;
+}
+
+function schemaRoute(handler) {
+  return async (req, res) => {
+    const settings = loadSettings();
+    if (!settings.notionToken || !settings.notionDatabaseId) {
+      return res.status(401).json({ message: "Notion token and database ID must be configured. Go to Settings." });
+    }
+    try {
+      res.json(await handler(settings, schemaMapping(settings, req.body)));
+    } catch (error) {
+      console.error("Notion schema error:", error);
+      if (error.status) return res.status(error.status).json({ message: error.message });
+      res.status(502).json({ message: "Could not reach Notion: " + error.message });
+    }
+  };
+}
+
+app.post("/api/notion/schema/verify", schemaRoute(async (settings, mapping) => {
+  return schemaReport(await fetchDatabase(settings), mapping);
+}));
+
+// Adds the missing properties and lists them as `created`. A database has
+// exactly one title property, so a missing title has to be mapped to the
+// existing one instead; properties of the wrong type are left alone.
+app.post("/api/notion/schema/setup", schemaRoute(async (settings, mapping) => {
+  let database = await fetchDatabase(settings);
+  const missing = checkNotionSchema(database, mapping).filter(f => f.status === "missing" && f.type !== "title");
+  if (missing.length) {
+    const properties = {};
+    for (const f of missing) properties[f.property] = { [f.type]: {} };
+    const { ok, status, data } = await notionRequest(
+      settings.notionToken, "databases/" + settings.notionDatabaseId, "PATCH", { properties }
     );
-    const data = await response.json();
-    res.status(response.ok ? 200 : response.status).json(data);
+    if (!ok) throw httpError(status, "Could not add properties: " + notionErrorMessage(status, data));
+    database = data;
+  }
+  return { ...schemaReport(database, mapping), created: missing.map(f => f.property) };
+}));
+
+// ── Proxy: read a page's blocks (used to show entry text) ──
+app.get("/api/notion/blocks/:id/children", async (req, res) => {
+  const settings = loadSettings();
+  if (!settings.notionToken) {
+    return res.status(401).json({ message: "Notion token not configured. Go to Settings." });
+  }
+  try {
+    const results = [];
+    let cursor = null;
+    do {
+      const query = "?page_size=100" + (cursor ? "&start_cursor=" + encodeURIComponent(cursor) : "");
+      const { ok, status, data } = await notionRequest(
+        settings.notionToken, "blocks/" + encodeURIComponent(req.params.id) + "/children" + query
+      );
+      if (!ok) {
+        return res.status(status).json({ message: notionErrorMessage(status, data), code: data.code });
+      }
+      results.push(...data.results);
+      cursor = data.has_more ? data.next_cursor : null;
+    } while (cursor);
+    res.json({ results });
+  } catch (error) {
+    console.error("Notion blocks error:", error);
+    res.status(502).json({ message: "Could not reach Notion: " + error.message });
+  }
+});
+
+// ── HEIC / TIFF / PDF uploads → JPEG pages the browser can show ──
+// Body: { file: <base64> }. Returns { pages: [{ image: <base64>, mediaType }] } in order.
+app.post("/api/convert", async (req, res) => {
+  const { file } = req.body || {};
+  if (!file) {
+    return res.status(400).json({ message: "Request must include a base64 file." });
+  }
+  try {
+    const pages = await toPages(Buffer.from(file, "base64"));
+    res.json({ pages: pages.map(p => ({ image: p.buffer.toString("base64"), mediaType: p.mediaType })) });
+  } catch (err) {
+    res.status(400).json({ message: "Could not read file: " + err.message });
+  }
+});
+
+// ── Image cleanup before OCR (rotate, crop, deskew, contrast, downscale) ──
+// `preprocess` in a request body is false to skip it, or an object of
+// options for lib/preprocess.js; anything else means the defaults.
+const PREPROCESS_OPTIONS = ["rotate", "crop", "cropToPage", "deskew", "normalize"];
+
+function preprocessOptions(value) {
+  if (value === false) return null;
+  const options = {};
+  if (value && typeof value === "object") {
+    for (const key of PREPROCESS_OPTIONS) {
+      if (value[key] !== undefined) options[key] = value[key];
+    }
+  }
+  return options;
+}
+
+// Body: { image: <base64>, preprocess }. Returns the cleaned image so the
+// app can show it beside the original before running OCR.
+app.post("/api/preprocess", async (req, res) => {
+  const { image, preprocess } = req.body || {};
+  if (!image) {
+    return res.status(400).json({ message: "Request must include a base64 image." });
+  }
+  try {
+    const [page] = await toPages(Buffer.from(image, "base64"));
+    const result = await preprocessImage(page.buffer, preprocessOptions(preprocess) || {});
+    res.json({ image: result.buffer.toString("base64"), mediaType: result.mediaType, width: result.width, height: result.height, steps: result.steps });
+  } catch (err) {
+    res.status(400).json({ message: "Could not process image: " + err.message });
+  }
+});
+
+// ── OCR via the configured engine (keeps keys server-side) ──
+// Body: { image: <base64>, mediaType, preprocess }. The image is cleaned up
+// first unless preprocess is false. Returns the engine-neutral
+// { text, entries, isContinuation, confidence, words } result.
+app.post("/api/ocr", async (req, res) => {
+  const { image, mediaType, preprocess } = req.body || {};
+  if (!image) {
+    return res.status(400).json({ message: "Request must include a base64 image." });
+  }
+  let engine;
+  try {
+    engine = ocrEngineFromSettings(loadSettings());
+  } catch (err) {
+    return res.status(401).json({ message: err.message + " Go to Settings." });
+  }
+  let page = { buffer: Buffer.from(image, "base64"), mediaType };
+  try {
+    // HEIC, TIFF etc. would otherwise reach the engine untouched
+    const pages = await toPages(page.buffer);
+    if (pages.length > 1) {
+      return res.status(400).json({ message: "This file has " + pages.length + " pages. Scan it as a multi-page session." });
+    }
+    page = pages[0];
+    const options = preprocessOptions(preprocess);
+    if (options) page = await preprocessImage(page.buffer, options);
+  } catch (err) {
+    return res.status(400).json({ message: "Could not process image: " + err.message });
+  }
+  try {
+    res.json(await engine.transcribe(page.buffer, { mediaType: page.mediaType }));
   } catch (error) {
-    console.error("Vision API proxy error:", error);
-    res.status(500).json({ message: error.message });
+    console.error("OCR error (" + engine.name + "):", error);
+    res.status(502).json({ message: error.message });
+  }
+});
+
+// ── Multi-page sessions: join entries that run across page breaks ──
+// Body: { pages: [<OCR result>, ...] } in capture order.
+app.post("/api/stitch", (req, res) => {
+  const pages = req.body && req.body.pages;
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return res.status(400).json({ message: "Request must include a non-empty pages array." });
+  }
+  res.json({ entries: stitchSession(pages) });
+});
+
+// ── Staged imports: review `import.js --stage` output before it reaches the vault ──
+function stagingProfile(name) {
+  if (!loadProfiles()[name]) throw httpError(404, "Unknown import profile: " + name);
+  return resolveProfile(name);
+}
+
+function publicStaged(profileName, entry) {
+  const imageUrls = entry.pages.map(page => "/api/staging/" + encodeURIComponent(profileName) + "/pages/" + encodeURIComponent(page));
+  return { ...entry, profile: profileName, imageUrls };
+}
+
+function sendStagingError(res, err) {
+  if (err.status) return res.status(err.status).json({ message: err.message });
+  console.error("Staging error:", err);
+  res.status(500).json({ message: err.message });
+}
+
+app.get("/api/staging", (req, res) => {
+  try {
+    const entries = [];
+    const profiles = [];
+    for (const name of Object.keys(loadProfiles())) {
+      const profile = resolveProfile(name);
+      profiles.push({ name, description: profile.description || "", journalDir: profile.journalDir });
+      entries.push(...staging.loadStaged(profile).map(e => publicStaged(name, e)));
+    }
+    res.json({ profiles, entries });
+  } catch (err) {
+    sendStagingError(res, err);
+  }
+});
+
+app.get("/api/staging/:profile/pages/:page", (req, res) => {
+  try {
+    const file = staging.stagedPagePath(stagingProfile(req.params.profile), req.params.page);
+    if (!file) return res.status(404).json({ message: "Page image not found." });
+    res.sendFile(file);
+  } catch (err) {
+    sendStagingError(res, err);
+  }
+});
+
+app.put("/api/staging/:profile/:id", (req, res) => {
+  try {
+    const { date, text } = req.body || {};
+    const entry = staging.updateStaged(stagingProfile(req.params.profile), req.params.id, { date, text });
+    res.json(publicStaged(req.params.profile, entry));
+  } catch (err) {
+    sendStagingError(res, err);
+  }
+});
+
+// Body may carry last-minute { date, text } edits
+app.post("/api/staging/:profile/:id/approve", (req, res) => {
+  try {
+    const { date, text } = req.body || {};
+    const filePath = staging.approveStaged(stagingProfile(req.params.profile), req.params.id, { date, text });
+    res.json({ success: true, path: filePath });
+  } catch (err) {
+    sendStagingError(res, err);
+  }
+});
+
+app.delete("/api/staging/:profile/:id", (req, res) => {
+  try {
+    staging.rejectStaged(stagingProfile(req.params.profile), req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    sendStagingError(res, err);
   }
 });
 
@@ -137,7 +950,7 @@ app.get("/", (req, res) => {
 // ── Start ──
 app.listen(PORT, () => {
   const settings = loadSettings();
-  const configured = settings.notionToken && settings.notionDatabaseId && settings.googleVisionKey;
+  const configured = isConfigured(settings);
   console.log(`\n📓 Journal Scanner running on http://localhost:${PORT}`);
   console.log(`   Settings file: ${SETTINGS_FILE}`);
   console.log(`   Configured: ${configured ? "✅ Yes" : "❌ No — open the app and go to Settings"}\n`);
@@ -176,7 +989,7 @@ function getHTML() {
   <script src="https://cdnjs.cloudflare.com/ajax/libs/babel-standalone/7.23.9/babel.min.js"></script>
 
   <script type="text/babel" data-type="module">
-    const { useState, useRef, useCallback, useEffect } = React;
+    const { useState, useRef, useCallback, useEffect, useMemo } = React;
 
     // ── Palette ──
     const P = {
@@ -191,7 +1004,7 @@ function getHTML() {
 
     const STATUS = {
       IDLE: "idle", UPLOADING: "uploading", PROCESSING: "processing",
-      OCR_COMPLETE: "ocr_complete", SENDING: "sending",
+      PREVIEW: "preview", OCR_COMPLETE: "ocr_complete", SENDING: "sending",
       COMPLETE: "complete", ERROR: "error",
     };
 
@@ -211,6 +1024,164 @@ function getHTML() {
       link: { color: P.accent, fontWeight: 500 },
     };
 
+    // ── Server API helpers ──
+    async function apiJson(url, method = "GET", body) {
+      const resp = await fetch(url, {
+        method,
+        headers: body ? { "Content-Type": "application/json" } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data.message || "Request failed: " + resp.status);
+      return data;
+    }
+
+    // Properties are named by the Settings mapping; Tags and Source are left
+    // out when their property name is blank
+    function notionPageBody(entry, settings) {
+      const properties = {
+        [settings.notionTitleProperty]: { title: [{ text: { content: entry.title } }] },
+        [settings.notionDateProperty]: { date: { start: entry.date } },
+      };
+      if (entry.tags && settings.notionTagsProperty) {
+        properties[settings.notionTagsProperty] = { multi_select: entry.tags.split(",").map(t => ({ name: t.trim() })).filter(t => t.name) };
+      }
+      if (settings.notionSourceProperty) properties[settings.notionSourceProperty] = { select: { name: "Handwritten Scan" } };
+      return {
+        parent: { database_id: settings.notionDatabaseId },
+        properties,
+        children: [
+          { object: "block", type: "heading_2", heading_2: { rich_text: [{ type: "text", text: { content: "Transcribed Text" } }] } },
+          ...entry.ocrText.split("\\n\\n").filter(p => p.trim()).map(p => ({ object: "block", type: "paragraph", paragraph: { rich_text: [{ type: "text", text: { content: p.trim() } }] } })),
+        ],
+        // The server uploads this entry's stored scan and adds it under "Original Scan"
+        entryId: entry.id,
+      };
+    }
+
+    function readFileAsDataUrl(file) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = ev => resolve(ev.target.result);
+        reader.onerror = () => reject(new Error("Could not read " + file.name));
+        reader.readAsDataURL(file);
+      });
+    }
+
+    // Types the browser can show as-is; HEIC, TIFF and PDF are converted on the server
+    const BROWSER_IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+    const SCAN_ACCEPT = "image/*,.heic,.heif,.tif,.tiff,.pdf,application/pdf";
+
+    // Reads an uploaded file as page images: [{ fileName, mediaType, dataUrl }]
+    async function readPages(file) {
+      const dataUrl = await readFileAsDataUrl(file);
+      if (BROWSER_IMAGE_TYPES.includes(file.type)) return [{ fileName: file.name, mediaType: file.type, dataUrl }];
+      const d = await apiJson("/api/convert", "POST", { file: dataUrl.split(",")[1] });
+      return d.pages.map((p, i) => ({
+        fileName: d.pages.length > 1 ? file.name + " (p. " + (i + 1) + ")" : file.name,
+        mediaType: p.mediaType,
+        dataUrl: "data:" + p.mediaType + ";base64," + p.image,
+      }));
+    }
+
+    // Runs OCR on a data: URL; demo mode (no keys) answers with sample text.
+    // preprocess is false when the image was already cleaned up.
+    async function ocrImage(dataUrl, mediaType, isConfigured, preprocess) {
+      if (!isConfigured) {
+        await new Promise(r => setTimeout(r, 1500));
+        return { text: SAMPLE_OCR, entries: [{ date: null, text: SAMPLE_OCR, continues: false }], isContinuation: false, confidence: null };
+      }
+      const d = await apiJson("/api/ocr", "POST", { image: dataUrl.split(",")[1], mediaType: mediaType || "image/jpeg", preprocess });
+      if (!d.text) throw new Error("No text detected. Try a clearer photo.");
+      return d;
+    }
+
+    // Server-side cleanup (rotate, crop, deskew, contrast, downscale); returns a JPEG data: URL
+    async function cleanImage(dataUrl, options) {
+      const d = await apiJson("/api/preprocess", "POST", { image: dataUrl.split(",")[1], preprocess: options });
+      return { dataUrl: "data:" + d.mediaType + ";base64," + d.image, mediaType: d.mediaType, steps: d.steps };
+    }
+
+    // Manual crop margins (percent of each side) → preprocess crop box
+    function cropFromMargins(m) {
+      if (!m.top && !m.right && !m.bottom && !m.left) return null;
+      return { x: m.left / 100, y: m.top / 100, w: 1 - (m.left + m.right) / 100, h: 1 - (m.top + m.bottom) / 100 };
+    }
+
+    const NO_MARGINS = { top: 0, right: 0, bottom: 0, left: 0 };
+
+    function titleFromText(text, date) {
+      const fl = text.split("\\n")[0]?.trim() || "";
+      return fl.length > 60 ? fl.slice(0,60) + "..." : fl || "Journal Entry \\u2014 " + date;
+    }
+
+    // Words the engine was less sure of than this are highlighted for checking
+    const LOW_CONFIDENCE = 0.8;
+
+    // Finds each OCR word in the transcription, in reading order, so it can be
+    // highlighted in place. Words that can't be found are left out.
+    function locateWords(text, words) {
+      const located = [];
+      let cursor = 0;
+      (words || []).forEach((word, index) => {
+        const start = text.indexOf(word.text, cursor);
+        if (start === -1) return;
+        cursor = start + word.text.length;
+        located.push({ ...word, index, start, end: cursor, uncertain: word.confidence != null && word.confidence < LOW_CONFIDENCE });
+      });
+      return located;
+    }
+
+    // The transcription with uncertain words marked; any word can be clicked
+    function WordCheck({ text, located, active, onSelect }) {
+      const boxRef = useRef(null);
+
+      useEffect(() => {
+        const el = boxRef.current && boxRef.current.querySelector("[data-active]");
+        if (el) el.scrollIntoView({ block: "nearest" });
+      }, [active]);
+
+      const parts = [];
+      let pos = 0;
+      for (const w of located) {
+        if (w.start > pos) parts.push(text.slice(pos, w.start));
+        const isActive = w.index === active;
+        parts.push(
+          <span key={w.index} data-active={isActive ? "" : undefined} onClick={() => onSelect(w)} title={w.confidence != null ? Math.round(w.confidence * 100) + "% confidence" : ""} style={{
+            cursor: "pointer", borderRadius: 3,
+            background: w.uncertain ? P.goldLight : "transparent",
+            borderBottom: w.uncertain ? "2px solid " + P.gold : "none",
+            outline: isActive ? "2px solid " + P.red : "none",
+          }}>{text.slice(w.start, w.end)}</span>
+        );
+        pos = w.end;
+      }
+      if (pos < text.length) parts.push(text.slice(pos));
+
+      return (
+        <div ref={boxRef} style={{ fontSize: 13, lineHeight: 1.8, whiteSpace: "pre-wrap", fontFamily: "'Source Code Pro', monospace", color: P.text, background: P.cream, padding: 12, borderRadius: 8, border: "1.5px solid " + P.border, maxHeight: 220, overflowY: "auto" }}>{parts}</div>
+      );
+    }
+
+    // Outline of a word's region, drawn over the scan it came from
+    function WordOutline({ box }) {
+      if (!box) return null;
+      return <div style={{ position: "absolute", left: box.x * 100 + "%", top: box.y * 100 + "%", width: box.w * 100 + "%", height: box.h * 100 + "%", border: "2px solid " + P.red, borderRadius: 3, boxShadow: "0 0 0 9999px rgba(26,26,46,0.25)", pointerEvents: "none" }} />;
+    }
+
+    // Sends a stored entry to Notion and records the outcome on the entry
+    async function syncEntryToNotion(entry) {
+      const sd = await apiJson("/api/settings");
+      try {
+        if (!sd.notionDatabaseId) throw new Error("Notion Database ID not configured. Go to Settings.");
+        const page = await apiJson("/api/notion/pages", "POST", notionPageBody(entry, sd));
+        return await apiJson("/api/entries/" + entry.id, "PUT", { syncStatus: "synced", notionPageId: page.id, notionUrl: page.url || null });
+      } catch (err) {
+        await apiJson("/api/entries/" + entry.id, "PUT", { syncStatus: "failed", syncError: err.message }).catch(() => {});
+        throw err;
+      }
+    }
+
     // ============================================================
     // ConfigBanner
     // ============================================================
@@ -221,7 +1192,7 @@ function getHTML() {
             <span style={{ fontSize: 20 }}>🔑</span>
             <div>
               <strong style={{ color: P.accent }}>Setup Required</strong>
-              <p style={{ margin: "2px 0 0", color: P.textMuted, fontSize: 13 }}>Add your API keys in Settings to enable scanning and Notion sync.</p>
+              <p style={{ margin: "2px 0 0", color: P.textMuted, fontSize: 13 }}>Add your Notion and OCR keys in Settings to enable scanning and Notion sync.</p>
             </div>
           </div>
           <button onClick={onGo} style={{ padding: "7px 16px", border: "1px solid " + P.gold, borderRadius: 6, background: P.white, fontSize: 13, fontWeight: 600, color: P.accent, fontFamily: "inherit" }}>Open Settings →</button>
@@ -232,7 +1203,9 @@ function getHTML() {
     // ============================================================
     // ScanView — now uses server-side API keys
     // ============================================================
-    function ScanView({ isConfigured, entries, setEntries }) {
+    function ScanView({ isConfigured, onEntriesChanged }) {
+      const [sessionMode, setSessionMode] = useState(false);
+      const [sessionPages, setSessionPages] = useState(null);
       const [status, setStatus] = useState(STATUS.IDLE);
       const [imageData, setImageData] = useState(null);
       const [fileName, setFileName] = useState("");
@@ -243,103 +1216,150 @@ function getHTML() {
       const [entryTags, setEntryTags] = useState("");
       const [error, setError] = useState("");
       const [progress, setProgress] = useState("");
+      const [savedEntry, setSavedEntry] = useState(null);
+      const [ocrConfidence, setOcrConfidence] = useState(null);
+      const [ocrWords, setOcrWords] = useState([]);
+      const [activeWord, setActiveWord] = useState(null);
+      const [original, setOriginal] = useState(null);
+      const [previewCleanup, setPreviewCleanup] = useState(() => localStorage.getItem("previewCleanup") === "1");
+      const [rotation, setRotation] = useState(0);
+      const [margins, setMargins] = useState(NO_MARGINS);
+      const [autoFix, setAutoFix] = useState(true);
+      const [cleanSteps, setCleanSteps] = useState(null);
       const fileRef = useRef(null);
       const camRef = useRef(null);
+      const textRef = useRef(null);
+
+      const located = useMemo(() => locateWords(ocrText, ocrWords), [ocrText, ocrWords]);
+      const uncertain = located.filter(w => w.uncertain);
+      const activeBox = located.find(w => w.index === activeWord)?.box;
+
+      const selectWord = (w) => {
+        setActiveWord(w.index);
+        // Select the same word in the editor if that part of the text is unedited
+        const ta = textRef.current;
+        if (ta && editedText.slice(w.start, w.end) === w.text) {
+          ta.focus();
+          ta.setSelectionRange(w.start, w.end);
+        }
+      };
+
+      const nextUncertain = () => {
+        if (!uncertain.length) return;
+        selectWord(uncertain.find(w => activeWord === null || w.index > activeWord) || uncertain[0]);
+      };
 
       const resetState = () => {
         setStatus(STATUS.IDLE); setImageData(null); setFileName(""); setOcrText("");
         setEditedText(""); setEntryTitle(""); setEntryDate(new Date().toISOString().split("T")[0]);
-        setEntryTags(""); setError(""); setProgress("");
+        setEntryTags(""); setError(""); setProgress(""); setSavedEntry(null); setOcrConfidence(null);
+        setOcrWords([]); setActiveWord(null);
+        setOriginal(null); setRotation(0); setMargins(NO_MARGINS); setAutoFix(true); setCleanSteps(null);
+      };
+
+      const togglePreviewCleanup = (on) => {
+        setPreviewCleanup(on);
+        localStorage.setItem("previewCleanup", on ? "1" : "0");
       };
 
+      const cleanupOptions = (rot, m, auto) => ({ rotate: rot, crop: cropFromMargins(m), cropToPage: auto, deskew: auto });
+
+      const runOcr = useCallback(async (dataUrl, mediaType) => {
+        setError(""); setImageData(dataUrl); setStatus(STATUS.PROCESSING); setProgress("Running handwriting OCR...");
+        try {
+          // Word outlines are drawn over imageData, so OCR must see exactly that image
+          const d = await ocrImage(dataUrl, mediaType, isConfigured, false);
+          setOcrText(d.text); setEditedText(d.text); setOcrConfidence(d.confidence);
+          setOcrWords(d.words || []); setActiveWord(null);
+          const detectedDate = d.entries?.find(e => e.date)?.date;
+          if (detectedDate) setEntryDate(detectedDate);
+          setEntryTitle(titleFromText(d.text, detectedDate || entryDate));
+          setStatus(STATUS.OCR_COMPLETE); setProgress("");
+        } catch (err) { setError("OCR Error: " + err.message); setStatus(STATUS.ERROR); setProgress(""); }
+      }, [isConfigured, entryDate]);
+
       const handleFile = useCallback(async (file) => {
         if (!file) return;
         setError(""); setFileName(file.name); setStatus(STATUS.UPLOADING); setProgress("Reading image...");
-        const reader = new FileReader();
-        reader.onload = async (ev) => {
-          const base64Full = ev.target.result;
-          const base64Data = base64Full.split(",")[1];
-          setImageData(base64Full); setStatus(STATUS.PROCESSING); setProgress("Running handwriting OCR...");
-
-          if (!isConfigured) {
-            await new Promise(r => setTimeout(r, 1500));
-            setOcrText(SAMPLE_OCR); setEditedText(SAMPLE_OCR);
-            setEntryTitle("Journal Entry \\u2014 " + entryDate);
-            setStatus(STATUS.OCR_COMPLETE); setProgress(""); return;
-          }
+        let pages;
+        try {
+          pages = await readPages(file);
+        } catch (err) { setError(err.message); setStatus(STATUS.ERROR); setProgress(""); return; }
+        // A multi-page PDF or TIFF goes through a scan session so entries can span pages
+        if (pages.length > 1) {
+          setStatus(STATUS.IDLE); setProgress(""); setSessionPages(pages); setSessionMode(true);
+          return;
+        }
+        const base64Full = pages[0].dataUrl;
+        const mediaType = pages[0].mediaType;
+        setOriginal({ dataUrl: base64Full, mediaType });
+        setImageData(base64Full); setProgress("Cleaning up image...");
+        let cleaned = null;
+        try {
+          cleaned = await cleanImage(base64Full, cleanupOptions(0, NO_MARGINS, true));
+        } catch (err) {
+          if (!previewCleanup) { runOcr(base64Full, mediaType); return; }
+          setError("Image cleanup failed: " + err.message);
+        }
+        if (previewCleanup) {
+          setImageData(cleaned ? cleaned.dataUrl : base64Full); setCleanSteps(cleaned ? cleaned.steps : []);
+          setStatus(STATUS.PREVIEW); setProgress("");
+        } else {
+          runOcr(cleaned.dataUrl, cleaned.mediaType);
+        }
+      }, [previewCleanup, runOcr]);
 
-          try {
-            const resp = await fetch("/api/ocr", {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                requests: [{
-                  image: { content: base64Data },
-                  features: [{ type: "DOCUMENT_TEXT_DETECTION", maxResults: 1 }],
-                  imageContext: { languageHints: ["en"] }
-                }]
-              })
-            });
-            const d = await resp.json();
-            if (d.error) throw new Error(d.error.message || d.message || "OCR failed");
-            if (d.message && !d.responses) throw new Error(d.message);
-            const fullText = d.responses?.[0]?.fullTextAnnotation?.text || "";
-            if (!fullText) throw new Error("No text detected. Try a clearer photo.");
-            setOcrText(fullText); setEditedText(fullText);
-            const fl = fullText.split("\\n")[0]?.trim() || "";
-            setEntryTitle(fl.length > 60 ? fl.slice(0,60) + "..." : fl || "Journal Entry \\u2014 " + entryDate);
-            setStatus(STATUS.OCR_COMPLETE); setProgress("");
-          } catch (err) { setError("OCR Error: " + err.message); setStatus(STATUS.ERROR); setProgress(""); }
-        };
-        reader.readAsDataURL(file);
-      }, [isConfigured, entryDate]);
+      const updatePreview = async (rot = rotation, m = margins, auto = autoFix) => {
+        setRotation(rot); setMargins(m); setAutoFix(auto);
+        setProgress("Updating preview..."); setError("");
+        try {
+          const cleaned = await cleanImage(original.dataUrl, cleanupOptions(rot, m, auto));
+          setImageData(cleaned.dataUrl); setCleanSteps(cleaned.steps);
+        } catch (err) { setError("Image cleanup failed: " + err.message); }
+        setProgress("");
+      };
+
+      const createEntry = (syncStatus) => apiJson("/api/entries", "POST", {
+        title: entryTitle, date: entryDate, tags: entryTags, ocrText: editedText, images: [imageData], syncStatus,
+      });
 
       const sendToNotion = async () => {
-        setStatus(STATUS.SENDING); setProgress("Creating Notion page..."); setError("");
+        setStatus(STATUS.SENDING); setProgress("Saving entry..."); setError("");
+        let entry = null;
         try {
-          const sr = await fetch("/api/settings");
-          const sd = await sr.json();
-          const dbId = sd.notionDatabaseId;
-          if (!dbId) throw new Error("Notion Database ID not configured. Go to Settings.");
-
-          const notionBody = {
-            parent: { database_id: dbId },
-            properties: {
-              Name: { title: [{ text: { content: entryTitle } }] },
-              Date: { date: { start: entryDate } },
-              ...(entryTags ? { Tags: { multi_select: entryTags.split(",").map(t => ({ name: t.trim() })).filter(t => t.name) } } : {}),
-              Source: { select: { name: "Handwritten Scan" } },
-            },
-            children: [
-              { object: "block", type: "heading_2", heading_2: { rich_text: [{ type: "text", text: { content: "Transcribed Text" } }] } },
-              ...editedText.split("\\n\\n").filter(p => p.trim()).map(p => ({ object: "block", type: "paragraph", paragraph: { rich_text: [{ type: "text", text: { content: p.trim() } }] } })),
-              { object: "block", type: "divider", divider: {} },
-              { object: "block", type: "heading_2", heading_2: { rich_text: [{ type: "text", text: { content: "Original Scan" } }] } },
-              { object: "block", type: "paragraph", paragraph: { rich_text: [{ type: "text", text: { content: "📎 Original handwritten page image is attached to this entry." } }] } },
-            ],
-          };
-
-          const response = await fetch("/api/notion/pages", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(notionBody),
-          });
-          if (!response.ok) { const ed = await response.json().catch(() => ({})); throw new Error(ed.message || "Notion API error: " + response.status); }
-          const page = await response.json();
-          setProgress("Entry created successfully!");
-          setEntries(prev => [{ id: page.id || Date.now().toString(), title: entryTitle, date: entryDate, tags: entryTags, ocrText: editedText, imageData, notionUrl: page.url || null, createdAt: new Date().toISOString() }, ...prev]);
+          entry = await createEntry("pending");
+          setProgress("Creating Notion page...");
+          entry = await syncEntryToNotion(entry);
+          setSavedEntry(entry); setProgress("Entry created successfully!");
           setStatus(STATUS.COMPLETE);
-        } catch (err) { setError("Notion Error: " + err.message); setStatus(STATUS.ERROR); setProgress(""); }
+        } catch (err) {
+          if (entry) {
+            // The scan is already stored, so drop back to a fresh upload screen
+            resetState();
+            setError("Notion Error: " + err.message + " The entry was saved and can be resent from Entries.");
+          } else {
+            setError("Save Error: " + err.message); setStatus(STATUS.ERROR); setProgress("");
+          }
+        }
+        onEntriesChanged();
       };
 
-      const saveLocally = () => {
-        setEntries(prev => [{ id: Date.now().toString(), title: entryTitle, date: entryDate, tags: entryTags, ocrText: editedText, imageData, notionUrl: null, createdAt: new Date().toISOString() }, ...prev]);
-        setStatus(STATUS.COMPLETE); setProgress("Saved locally (not synced to Notion).");
+      const saveLocally = async () => {
+        setStatus(STATUS.SENDING); setProgress("Saving entry..."); setError("");
+        try {
+          setSavedEntry(await createEntry("local"));
+          setStatus(STATUS.COMPLETE); setProgress("Saved locally (not synced to Notion).");
+        } catch (err) { setError("Save Error: " + err.message); setStatus(STATUS.ERROR); setProgress(""); }
+        onEntriesChanged();
       };
 
+      if (sessionMode) {
+        return <ScanSession isConfigured={isConfigured} onEntriesChanged={onEntriesChanged} initialPages={sessionPages} onExit={() => { setSessionMode(false); setSessionPages(null); }} />;
+      }
+
       return (
         <div>
-          <input ref={fileRef} type="file" accept="image/*" style={{ display: "none" }} onChange={e => handleFile(e.target.files?.[0])} />
+          <input ref={fileRef} type="file" accept={SCAN_ACCEPT} style={{ display: "none" }} onChange={e => handleFile(e.target.files?.[0])} />
           <input ref={camRef} type="file" accept="image/*" capture="environment" style={{ display: "none" }} onChange={e => handleFile(e.target.files?.[0])} />
 
           {(status === STATUS.IDLE || status === STATUS.ERROR) && !imageData && (
@@ -353,7 +1373,11 @@ function getHTML() {
                 <button style={S.primaryBtn} onClick={() => fileRef.current?.click()}><span>📁</span> Choose File</button>
                 <button style={S.secondaryBtn} onClick={() => camRef.current?.click()}><span>📷</span> Take Photo</button>
               </div>
-              <p style={{ fontSize: 12, color: P.textMuted, marginTop: 16 }}>Supports JPG, PNG, HEIC — max 20MB</p>
+              <button style={{ ...S.ghostBtn, marginTop: 12, color: P.accent }} onClick={() => { setError(""); setSessionMode(true); }}>📚 Entry runs over several pages? Start a multi-page session</button>
+              <label style={{ display: "inline-flex", alignItems: "center", gap: 6, fontSize: 13, color: P.textMuted, marginTop: 12, cursor: "pointer" }}>
+                <input type="checkbox" checked={previewCleanup} onChange={e => togglePreviewCleanup(e.target.checked)} /> Preview image cleanup before OCR
+              </label>
+              <p style={{ fontSize: 12, color: P.textMuted, marginTop: 16 }}>Supports JPG, PNG, HEIC, TIFF and PDF — max 20MB</p>
               {!isConfigured && <p style={{ fontSize: 12, color: P.accent, marginTop: 8, fontStyle: "italic" }}>Demo Mode: No API keys configured. OCR will return sample text.</p>}
             </div>
           )}
@@ -368,37 +1392,304 @@ function getHTML() {
             </div>
           )}
 
-          {status === STATUS.OCR_COMPLETE && (
-            <div style={{ background: P.white, borderRadius: 16, padding: 24, boxShadow: "0 2px 12px rgba(0,0,0,0.04)" }}>
-              <div className="review-grid" style={{ display: "grid", gridTemplateColumns: "minmax(200px, 1fr) 2fr", gap: 28 }}>
-                <div>
-                  <h3 style={{ fontSize: 11, fontWeight: 700, color: P.ink, margin: "0 0 12px", textTransform: "uppercase", letterSpacing: "0.04em" }}>Original Scan</h3>
-                  <div style={{ background: P.cream, borderRadius: 10, padding: 8, border: "1px solid " + P.border }}>
-                    {imageData && <img src={imageData} alt="Scan" style={{ width: "100%", borderRadius: 6, display: "block" }} />}
-                  </div>
-                  <p style={{ fontSize: 11, color: P.textMuted, marginTop: 6, textAlign: "center" }}>{fileName}</p>
-                </div>
-                <div>
-                  <h3 style={{ fontSize: 11, fontWeight: 700, color: P.ink, margin: "0 0 12px", textTransform: "uppercase", letterSpacing: "0.04em" }}>Extracted Text</h3>
-                  <label style={S.fieldLabel}>Title</label>
-                  <input type="text" value={entryTitle} onChange={e => setEntryTitle(e.target.value)} style={S.textInput} placeholder="Entry title..." />
-                  <div style={{ display: "flex", gap: 12 }}>
-                    <div style={{ flex: 1 }}><label style={S.fieldLabel}>Date</label><input type="date" value={entryDate} onChange={e => setEntryDate(e.target.value)} style={S.textInput} /></div>
-                    <div style={{ flex: 1 }}><label style={S.fieldLabel}>Tags (comma-separated)</label><input type="text" value={entryTags} onChange={e => setEntryTags(e.target.value)} style={S.textInput} placeholder="journal, personal, ..." /></div>
-                  </div>
-                  <label style={S.fieldLabel}>Transcribed Text <span style={{ fontWeight: 400, color: P.textMuted }}>— edit to correct OCR errors</span></label>
-                  <textarea value={editedText} onChange={e => setEditedText(e.target.value)} style={S.textarea} rows={14} />
-                  <div style={{ display: "flex", gap: 10, marginTop: 16, flexWrap: "wrap" }}>
-                    <button style={S.primaryBtn} onClick={sendToNotion}>Send to Notion →</button>
-                    <button style={S.secondaryBtn} onClick={saveLocally}>Save Locally Only</button>
-                    <button style={S.ghostBtn} onClick={resetState}>Cancel</button>
+          {status === STATUS.PREVIEW && original && (
+            <div style={{ background: P.white, borderRadius: 16, padding: 24, boxShadow: "0 2px 12px rgba(0,0,0,0.04)" }}>
+              <div className="review-grid" style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24 }}>
+                <div>
+                  <h3 style={{ fontSize: 11, fontWeight: 700, color: P.ink, margin: "0 0 12px", textTransform: "uppercase", letterSpacing: "0.04em" }}>Before</h3>
+                  <div style={{ position: "relative", background: P.cream, borderRadius: 10, padding: 8, border: "1px solid " + P.border }}>
+                    <div style={{ position: "relative" }}>
+                      <img src={original.dataUrl} alt="Original" style={{ width: "100%", borderRadius: 6, display: "block" }} />
+                      <WordOutline box={cropFromMargins(margins)} />
+                    </div>
+                  </div>
+                </div>
+                <div>
+                  <h3 style={{ fontSize: 11, fontWeight: 700, color: P.ink, margin: "0 0 12px", textTransform: "uppercase", letterSpacing: "0.04em" }}>After</h3>
+                  <div style={{ background: P.cream, borderRadius: 10, padding: 8, border: "1px solid " + P.border, opacity: progress ? 0.5 : 1 }}>
+                    <img src={imageData} alt="Cleaned" style={{ width: "100%", borderRadius: 6, display: "block" }} />
+                  </div>
+                  <p style={{ fontSize: 11, color: P.textMuted, marginTop: 6, textAlign: "center" }}>{progress || (cleanSteps && cleanSteps.length ? cleanSteps.join(" · ") : "No changes")}</p>
+                </div>
+              </div>
+
+              <div style={{ display: "flex", gap: 16, alignItems: "flex-end", marginTop: 16, flexWrap: "wrap" }}>
+                <div>
+                  <label style={{ ...S.fieldLabel, marginTop: 0 }}>Rotate</label>
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <button style={{ ...S.secondaryBtn, padding: "6px 12px" }} disabled={!!progress} onClick={() => updatePreview((rotation + 270) % 360)}>⟲</button>
+                    <button style={{ ...S.secondaryBtn, padding: "6px 12px" }} disabled={!!progress} onClick={() => updatePreview((rotation + 90) % 360)}>⟳</button>
+                  </div>
+                </div>
+                {["top", "bottom", "left", "right"].map(side => (
+                  <div key={side} style={{ minWidth: 110 }}>
+                    <label style={{ ...S.fieldLabel, marginTop: 0 }}>Crop {side} {margins[side]}%</label>
+                    <input type="range" min="0" max="40" value={margins[side]} onChange={e => setMargins(m => ({ ...m, [side]: Number(e.target.value) }))} onMouseUp={() => updatePreview()} onTouchEnd={() => updatePreview()} onKeyUp={() => updatePreview()} style={{ width: "100%" }} />
+                  </div>
+                ))}
+                <label style={{ display: "inline-flex", alignItems: "center", gap: 6, fontSize: 13, color: P.text, cursor: "pointer" }}>
+                  <input type="checkbox" checked={autoFix} onChange={e => updatePreview(rotation, margins, e.target.checked)} /> Auto-crop & straighten
+                </label>
+              </div>
+              {cropFromMargins(margins) && <p style={{ fontSize: 12, color: P.textMuted, marginTop: 8 }}>A manual crop replaces the automatic crop to the page.</p>}
+
+              <div style={{ display: "flex", gap: 10, marginTop: 20, flexWrap: "wrap" }}>
+                <button style={S.primaryBtn} disabled={!!progress} onClick={() => runOcr(imageData, "image/jpeg")}>Use Cleaned Image →</button>
+                <button style={S.secondaryBtn} disabled={!!progress} onClick={() => runOcr(original.dataUrl, original.mediaType)}>Use Original</button>
+                <button style={S.ghostBtn} onClick={resetState}>Cancel</button>
+              </div>
+            </div>
+          )}
+
+          {status === STATUS.OCR_COMPLETE && (
+            <div style={{ background: P.white, borderRadius: 16, padding: 24, boxShadow: "0 2px 12px rgba(0,0,0,0.04)" }}>
+              <div className="review-grid" style={{ display: "grid", gridTemplateColumns: "minmax(200px, 1fr) 2fr", gap: 28 }}>
+                <div>
+                  <h3 style={{ fontSize: 11, fontWeight: 700, color: P.ink, margin: "0 0 12px", textTransform: "uppercase", letterSpacing: "0.04em" }}>Original Scan</h3>
+                  <div style={{ background: P.cream, borderRadius: 10, padding: 8, border: "1px solid " + P.border }}>
+                    <div style={{ position: "relative", borderRadius: 6, overflow: "hidden" }}>
+                      {imageData && <img src={imageData} alt="Scan" style={{ width: "100%", borderRadius: 6, display: "block" }} />}
+                      <WordOutline box={activeBox} />
+                    </div>
+                  </div>
+                  <p style={{ fontSize: 11, color: P.textMuted, marginTop: 6, textAlign: "center" }}>{fileName}</p>
+                </div>
+                <div>
+                  <h3 style={{ fontSize: 11, fontWeight: 700, color: P.ink, margin: "0 0 12px", textTransform: "uppercase", letterSpacing: "0.04em" }}>
+                    Extracted Text
+                    {ocrConfidence != null && <span style={{ marginLeft: 8, fontWeight: 500, color: ocrConfidence < 0.7 ? P.red : P.textMuted, textTransform: "none", letterSpacing: 0 }}>· {Math.round(ocrConfidence * 100)}% confidence</span>}
+                  </h3>
+                  <label style={S.fieldLabel}>Title</label>
+                  <input type="text" value={entryTitle} onChange={e => setEntryTitle(e.target.value)} style={S.textInput} placeholder="Entry title..." />
+                  <div style={{ display: "flex", gap: 12 }}>
+                    <div style={{ flex: 1 }}><label style={S.fieldLabel}>Date</label><input type="date" value={entryDate} onChange={e => setEntryDate(e.target.value)} style={S.textInput} /></div>
+                    <div style={{ flex: 1 }}><label style={S.fieldLabel}>Tags (comma-separated)</label><input type="text" value={entryTags} onChange={e => setEntryTags(e.target.value)} style={S.textInput} placeholder="journal, personal, ..." /></div>
+                  </div>
+                  {located.length > 0 && (
+                    <>
+                      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-end", gap: 8 }}>
+                        <label style={S.fieldLabel}>
+                          {uncertain.length ? uncertain.length + " uncertain word" + (uncertain.length === 1 ? "" : "s") : "No uncertain words"}
+                          <span style={{ fontWeight: 400, color: P.textMuted, textTransform: "none" }}> — click a word to find it on the scan</span>
+                        </label>
+                        {uncertain.length > 0 && <button style={{ ...S.ghostBtn, padding: "4px 8px", fontSize: 12, color: P.accent }} onClick={nextUncertain}>Next uncertain ↓</button>}
+                      </div>
+                      <WordCheck text={ocrText} located={located} active={activeWord} onSelect={selectWord} />
+                    </>
+                  )}
+                  <label style={S.fieldLabel}>Transcribed Text <span style={{ fontWeight: 400, color: P.textMuted }}>— edit to correct OCR errors</span></label>
+                  <textarea ref={textRef} value={editedText} onChange={e => setEditedText(e.target.value)} style={S.textarea} rows={14} />
+                  <div style={{ display: "flex", gap: 10, marginTop: 16, flexWrap: "wrap" }}>
+                    <button style={S.primaryBtn} onClick={sendToNotion}>Send to Notion →</button>
+                    <button style={S.secondaryBtn} onClick={saveLocally}>Save Locally Only</button>
+                    <button style={S.ghostBtn} onClick={resetState}>Cancel</button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {status === STATUS.SENDING && (
+            <div style={{ textAlign: "center", padding: "40px 24px" }}>
+              <div style={{ display: "inline-flex", alignItems: "center", gap: 14, padding: "16px 28px", background: P.white, borderRadius: 12, boxShadow: "0 2px 12px rgba(0,0,0,0.06)" }}>
+                <div style={{ width: 20, height: 20, border: "2px solid " + P.border, borderTopColor: P.accent, borderRadius: "50%", animation: "spin 0.8s linear infinite" }} />
+                <p style={{ fontSize: 14, color: P.text, margin: 0 }}>{progress}</p>
+              </div>
+            </div>
+          )}
+
+          {status === STATUS.COMPLETE && (
+            <div style={{ textAlign: "center", padding: "60px 24px" }}>
+              <div style={{ width: 60, height: 60, borderRadius: "50%", background: P.sageMuted, color: P.sage, fontSize: 28, display: "inline-flex", alignItems: "center", justifyContent: "center", marginBottom: 16 }}>✓</div>
+              <h2 style={{ fontSize: 22, fontWeight: 700, color: P.ink, margin: "0 0 6px" }}>Entry Saved!</h2>
+              <p style={{ fontSize: 14, color: P.textMuted, margin: 0 }}>{progress}</p>
+              {savedEntry?.notionUrl && <a href={savedEntry.notionUrl} target="_blank" rel="noopener noreferrer" style={{ display: "inline-block", marginTop: 12, color: P.accent, fontWeight: 600, fontSize: 14 }}>Open in Notion →</a>}
+              <div><button style={{ ...S.primaryBtn, marginTop: 20 }} onClick={resetState}>Scan Another Page</button></div>
+            </div>
+          )}
+
+          {error && (
+            <div style={{ background: P.redMuted, border: "1px solid " + P.red, borderRadius: 10, padding: "12px 16px", marginTop: 20, fontSize: 13, color: P.red, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <span><strong>Error:</strong> {error}</span>
+              <button onClick={() => setError("")} style={{ background: "none", border: "none", color: P.red, cursor: "pointer", fontSize: 16, padding: "0 4px" }}>✕</button>
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    // ============================================================
+    // ScanSession — capture several pages in order, then review the
+    // entries stitched across page breaks before saving them
+    // ============================================================
+    function ScanSession({ isConfigured, onEntriesChanged, initialPages, onExit }) {
+      const [pages, setPages] = useState([]);
+      const [stage, setStage] = useState("capture");
+      const [entries, setEntries] = useState([]);
+      const [error, setError] = useState("");
+      const [progress, setProgress] = useState("");
+      const [results, setResults] = useState(null);
+      const fileRef = useRef(null);
+      const camRef = useRef(null);
+
+      const updatePage = (id, patch) => setPages(ps => ps.map(p => p.id === id ? { ...p, ...patch } : p));
+
+      const runPage = async (page) => {
+        updatePage(page.id, { status: "processing", error: "" });
+        try {
+          const ocr = await ocrImage(page.imageData, page.mediaType, isConfigured);
+          updatePage(page.id, { status: "done", ocr });
+        } catch (err) { updatePage(page.id, { status: "error", error: err.message }); }
+      };
+
+      const addPages = async (images) => {
+        for (const image of images) {
+          const page = { id: Date.now() + "-" + Math.random().toString(36).slice(2), fileName: image.fileName, mediaType: image.mediaType, imageData: image.dataUrl, status: "processing", ocr: null, error: "" };
+          setPages(ps => [...ps, page]);
+          await runPage(page);
+        }
+      };
+
+      const addFiles = async (fileList) => {
+        setError("");
+        for (const file of Array.from(fileList || [])) {
+          try { await addPages(await readPages(file)); } catch (err) { setError(err.message); }
+        }
+      };
+
+      // Pages handed over from ScanView (a multi-page PDF or TIFF)
+      useEffect(() => { if (initialPages) addPages(initialPages); }, []);
+
+      const movePage = (index, delta) => setPages(ps => {
+        const next = [...ps];
+        const [page] = next.splice(index, 1);
+        next.splice(index + delta, 0, page);
+        return next;
+      });
+
+      const stitch = async () => {
+        setError(""); setProgress("Stitching entries...");
+        try {
+          const d = await apiJson("/api/stitch", "POST", { pages: pages.map(p => p.ocr) });
+          setEntries(d.entries.map((e, i) => ({ key: i, title: titleFromText(e.text, e.date || ""), date: e.date || "", tags: "", text: e.text, pages: e.pages })));
+          setStage("review");
+        } catch (err) { setError("Stitch Error: " + err.message); }
+        setProgress("");
+      };
+
+      const updateEntry = (key, patch) => setEntries(es => es.map(e => e.key === key ? { ...e, ...patch } : e));
+
+      // Undo a split the engine got wrong by folding an entry into the one before it
+      const joinWithPrevious = (index) => setEntries(es => {
+        const next = [...es];
+        const prev = next[index - 1];
+        const cur = next[index];
+        next.splice(index - 1, 2, { ...prev, text: prev.text + "\\n\\n" + cur.text, pages: [...new Set([...prev.pages, ...cur.pages])] });
+        return next;
+      });
+
+      const saveAll = async (toNotion) => {
+        if (entries.some(e => !e.date)) { setError("Set a date for every entry before saving."); return; }
+        setError(""); setStage("saving");
+        const outcome = { saved: 0, synced: 0, failures: [] };
+        for (const [i, e] of entries.entries()) {
+          setProgress("Saving entry " + (i + 1) + " of " + entries.length + "...");
+          try {
+            const entry = await apiJson("/api/entries", "POST", {
+              title: e.title, date: e.date, tags: e.tags, ocrText: e.text,
+              images: e.pages.map(n => pages[n].imageData), syncStatus: toNotion ? "pending" : "local",
+            });
+            outcome.saved++;
+            if (toNotion) {
+              setProgress("Sending entry " + (i + 1) + " of " + entries.length + " to Notion...");
+              await syncEntryToNotion(entry);
+              outcome.synced++;
+            }
+          } catch (err) { outcome.failures.push(e.title + ": " + err.message); }
+        }
+        setResults(outcome); setStage("done"); setProgress("");
+        onEntriesChanged();
+      };
+
+      const allRead = pages.length > 0 && pages.every(p => p.status === "done");
+      const thumb = { width: 72, height: 96, objectFit: "cover", borderRadius: 6, border: "1px solid " + P.border, display: "block" };
+      const smallBtn = { padding: "2px 8px", border: "1px solid " + P.border, borderRadius: 6, background: P.white, fontSize: 12, color: P.textMuted, fontFamily: "inherit" };
+
+      return (
+        <div>
+          <input ref={fileRef} type="file" accept={SCAN_ACCEPT} multiple style={{ display: "none" }} onChange={e => { addFiles(e.target.files); e.target.value = ""; }} />
+          <input ref={camRef} type="file" accept="image/*" capture="environment" style={{ display: "none" }} onChange={e => { addFiles(e.target.files); e.target.value = ""; }} />
+
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16, flexWrap: "wrap", gap: 12 }}>
+            <h2 style={{ fontSize: 20, fontWeight: 700, color: P.ink, margin: 0 }}>Multi-page Session <span style={{ fontSize: 14, fontWeight: 400, color: P.textMuted }}>{pages.length} page{pages.length === 1 ? "" : "s"}</span></h2>
+            {stage !== "saving" && <button style={S.ghostBtn} onClick={onExit}>✕ Exit session</button>}
+          </div>
+
+          {stage === "capture" && (
+            <div style={{ background: P.white, borderRadius: 16, padding: 24, boxShadow: "0 2px 12px rgba(0,0,0,0.04)" }}>
+              <p style={{ fontSize: 14, color: P.textMuted, margin: "0 0 16px", lineHeight: 1.5 }}>Add the pages in the order they were written. Entries that run off the bottom of one page are joined with the next.</p>
+              {pages.length > 0 && (
+                <div style={{ display: "flex", gap: 14, flexWrap: "wrap", marginBottom: 20 }}>
+                  {pages.map((p, i) => (
+                    <div key={p.id} style={{ width: 96, textAlign: "center" }}>
+                      <div style={{ position: "relative", display: "inline-block" }}>
+                        <img src={p.imageData} alt={"Page " + (i + 1)} style={thumb} />
+                        {p.status === "processing" && <div style={{ position: "absolute", top: 6, right: 6, width: 14, height: 14, border: "2px solid " + P.border, borderTopColor: P.accent, borderRadius: "50%", animation: "spin 0.8s linear infinite", background: P.white }} />}
+                      </div>
+                      <p style={{ fontSize: 12, margin: "4px 0", color: p.status === "error" ? P.red : P.text }} title={p.error}>Page {i + 1} {p.status === "done" ? "✓" : p.status === "error" ? "✕" : ""}</p>
+                      <div style={{ display: "flex", gap: 2, justifyContent: "center" }}>
+                        {i > 0 && <button style={smallBtn} onClick={() => movePage(i, -1)} title="Move earlier">←</button>}
+                        {i < pages.length - 1 && <button style={smallBtn} onClick={() => movePage(i, 1)} title="Move later">→</button>}
+                        {p.status === "error" && <button style={smallBtn} onClick={() => runPage(p)} title="Retry OCR">↻</button>}
+                        <button style={smallBtn} onClick={() => setPages(ps => ps.filter(x => x.id !== p.id))} title="Remove page">✕</button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                <button style={S.secondaryBtn} onClick={() => fileRef.current?.click()}><span>📁</span> Add Pages</button>
+                <button style={S.secondaryBtn} onClick={() => camRef.current?.click()}><span>📷</span> Photograph Next Page</button>
+                <button style={{ ...S.primaryBtn, opacity: allRead ? 1 : 0.5 }} disabled={!allRead || !!progress} onClick={stitch}>{progress || "Review Entries →"}</button>
+              </div>
+            </div>
+          )}
+
+          {stage === "review" && (
+            <div>
+              <p style={{ fontSize: 14, color: P.textMuted, margin: "0 0 12px" }}>{entries.length} entr{entries.length === 1 ? "y" : "ies"} found across {pages.length} page{pages.length === 1 ? "" : "s"}. Each one becomes a single Notion page with all of its source scans.</p>
+              {entries.map((e, i) => (
+                <div key={e.key} style={{ ...S.card, marginTop: 12 }}>
+                  <div className="review-grid" style={{ display: "grid", gridTemplateColumns: "minmax(120px, 160px) 1fr", gap: 20 }}>
+                    <div>
+                      <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                        {e.pages.map(n => <img key={n} src={pages[n].imageData} alt={"Page " + (n + 1)} title={"Page " + (n + 1)} style={{ ...thumb, width: 64, height: 84 }} />)}
+                      </div>
+                      <p style={{ fontSize: 11, color: P.textMuted, marginTop: 6 }}>Page{e.pages.length > 1 ? "s" : ""} {e.pages.map(n => n + 1).join(", ")}</p>
+                      {i > 0 && <button style={{ ...smallBtn, marginTop: 6 }} onClick={() => joinWithPrevious(i)}>↥ Join with previous</button>}
+                    </div>
+                    <div>
+                      <label style={{ ...S.fieldLabel, marginTop: 0 }}>Title</label>
+                      <input type="text" value={e.title} onChange={ev => updateEntry(e.key, { title: ev.target.value })} style={S.textInput} />
+                      <div style={{ display: "flex", gap: 12 }}>
+                        <div style={{ flex: 1 }}><label style={S.fieldLabel}>Date {!e.date && <span style={{ color: P.red, textTransform: "none" }}>— not detected</span>}</label><input type="date" value={e.date} onChange={ev => updateEntry(e.key, { date: ev.target.value })} style={{ ...S.textInput, borderColor: e.date ? P.border : P.red }} /></div>
+                        <div style={{ flex: 1 }}><label style={S.fieldLabel}>Tags (comma-separated)</label><input type="text" value={e.tags} onChange={ev => updateEntry(e.key, { tags: ev.target.value })} style={S.textInput} placeholder="journal, personal, ..." /></div>
+                      </div>
+                      <label style={S.fieldLabel}>Transcribed Text</label>
+                      <textarea value={e.text} onChange={ev => updateEntry(e.key, { text: ev.target.value })} style={S.textarea} rows={8} />
+                    </div>
                   </div>
                 </div>
+              ))}
+              <div style={{ display: "flex", gap: 10, marginTop: 16, flexWrap: "wrap" }}>
+                <button style={S.primaryBtn} onClick={() => saveAll(true)}>Send All to Notion →</button>
+                <button style={S.secondaryBtn} onClick={() => saveAll(false)}>Save All Locally</button>
+                <button style={S.ghostBtn} onClick={() => setStage("capture")}>← Back to Pages</button>
               </div>
             </div>
           )}
 
-          {status === STATUS.SENDING && (
+          {stage === "saving" && (
             <div style={{ textAlign: "center", padding: "40px 24px" }}>
               <div style={{ display: "inline-flex", alignItems: "center", gap: 14, padding: "16px 28px", background: P.white, borderRadius: 12, boxShadow: "0 2px 12px rgba(0,0,0,0.06)" }}>
                 <div style={{ width: 20, height: 20, border: "2px solid " + P.border, borderTopColor: P.accent, borderRadius: "50%", animation: "spin 0.8s linear infinite" }} />
@@ -407,13 +1698,18 @@ function getHTML() {
             </div>
           )}
 
-          {status === STATUS.COMPLETE && (
+          {stage === "done" && results && (
             <div style={{ textAlign: "center", padding: "60px 24px" }}>
-              <div style={{ width: 60, height: 60, borderRadius: "50%", background: P.sageMuted, color: P.sage, fontSize: 28, display: "inline-flex", alignItems: "center", justifyContent: "center", marginBottom: 16 }}>✓</div>
-              <h2 style={{ fontSize: 22, fontWeight: 700, color: P.ink, margin: "0 0 6px" }}>Entry Saved!</h2>
-              <p style={{ fontSize: 14, color: P.textMuted, margin: 0 }}>{progress}</p>
-              {entries[0]?.notionUrl && <a href={entries[0].notionUrl} target="_blank" rel="noopener noreferrer" style={{ display: "inline-block", marginTop: 12, color: P.accent, fontWeight: 600, fontSize: 14 }}>Open in Notion →</a>}
-              <div><button style={{ ...S.primaryBtn, marginTop: 20 }} onClick={resetState}>Scan Another Page</button></div>
+              <div style={{ width: 60, height: 60, borderRadius: "50%", background: results.failures.length ? P.redMuted : P.sageMuted, color: results.failures.length ? P.red : P.sage, fontSize: 28, display: "inline-flex", alignItems: "center", justifyContent: "center", marginBottom: 16 }}>{results.failures.length ? "!" : "✓"}</div>
+              <h2 style={{ fontSize: 22, fontWeight: 700, color: P.ink, margin: "0 0 6px" }}>Session Saved</h2>
+              <p style={{ fontSize: 14, color: P.textMuted, margin: 0 }}>{results.saved} entr{results.saved === 1 ? "y" : "ies"} saved{results.synced ? ", " + results.synced + " sent to Notion" : ""}.</p>
+              {results.failures.length > 0 && (
+                <div style={{ textAlign: "left", maxWidth: 520, margin: "16px auto 0", fontSize: 13, color: P.red }}>
+                  {results.failures.map((f, i) => <p key={i} style={{ margin: "4px 0" }}>✕ {f}</p>)}
+                  <p style={{ color: P.textMuted }}>Saved entries that didn't reach Notion can be resent from Entries.</p>
+                </div>
+              )}
+              <div><button style={{ ...S.primaryBtn, marginTop: 20 }} onClick={onExit}>Done</button></div>
             </div>
           )}
 
@@ -428,100 +1724,704 @@ function getHTML() {
     }
 
     // ============================================================
-    // EntriesView
+    // EntriesView — session scans plus everything already in Notion
     // ============================================================
-    function EntriesView({ entries }) {
+    // Notion's sort for each EntriesView sort
+    function notionSorts(sort, dateProperty) {
+      if (sort === "edited") return [{ timestamp: "last_edited_time", direction: "descending" }];
+      // Notion can't rank by match, so relevance is newest first there
+      return [{ property: dateProperty, direction: sort === "oldest" ? "ascending" : "descending" }];
+    }
+
+    // Map a Notion database page onto the same shape as a scanned entry, using
+    // the property names from Settings (a database has one title, whatever its name)
+    function notionPageToEntry(page, settings) {
+      const props = page.properties || {};
+      const title = (Object.values(props).find(p => p.type === "title")?.title || []).map(t => t.plain_text).join("");
+      return {
+        id: page.id, title: title || "Untitled",
+        date: props[settings.notionDateProperty]?.date?.start || page.created_time.split("T")[0],
+        tags: (props[settings.notionTagsProperty]?.multi_select || []).map(t => t.name).join(", "),
+        ocrText: null, imageData: null, notionUrl: page.url, createdAt: page.created_time,
+      };
+    }
+
+    // /api/search pages and its sort for each EntriesView sort
+    const SEARCH_PAGE_SIZE = 20;
+    const SEARCH_SORTS = { relevance: "relevance", newest: "newest", oldest: "oldest", edited: "newest" };
+
+    // Map a vault note from /api/search onto the same shape as a scanned entry
+    function vaultResultToEntry(result) {
+      return {
+        id: result.id, title: result.title, date: result.date, tags: result.tags.join(", "),
+        ocrText: result.text, notionUrl: null, obsidianUrl: result.obsidianUrl,
+        vaultPath: result.path, profile: result.profile, snippet: result.snippet,
+      };
+    }
+
+    // Transcribed text is the run of paragraphs before the first divider
+    function blocksToText(blocks) {
+      const paras = [];
+      for (const b of blocks) {
+        if (b.type === "divider") break;
+        if (b.type === "paragraph") paras.push((b.paragraph.rich_text || []).map(t => t.plain_text).join(""));
+      }
+      return paras.filter(p => p.trim()).join("\\n\\n");
+    }
+
+    function EntriesView({ entries, isConfigured, onEntriesChanged }) {
       const [search, setSearch] = useState("");
+      const [query, setQuery] = useState("");
+      const [sort, setSort] = useState("newest");
+      const [dateFrom, setDateFrom] = useState("");
+      const [dateTo, setDateTo] = useState("");
+      const [tagFilter, setTagFilter] = useState([]);
+      const [includeVault, setIncludeVault] = useState(false);
+      const [page, setPage] = useState(0);
+      const [results, setResults] = useState(null);
+      const [searching, setSearching] = useState(false);
+      const [searchError, setSearchError] = useState("");
       const [expanded, setExpanded] = useState(null);
-      const filtered = entries.filter(e =>
-        e.title.toLowerCase().includes(search.toLowerCase()) ||
-        e.ocrText.toLowerCase().includes(search.toLowerCase()) ||
-        (e.tags || "").toLowerCase().includes(search.toLowerCase())
+      const [notionEntries, setNotionEntries] = useState([]);
+      const [nextCursor, setNextCursor] = useState(null);
+      const [loadingNotion, setLoadingNotion] = useState(false);
+      const [notionError, setNotionError] = useState("");
+      const [notionText, setNotionText] = useState({});
+      const [busyId, setBusyId] = useState(null);
+      const [actionError, setActionError] = useState("");
+      const [notionSettings, setNotionSettings] = useState(null);
+
+      // Debounce the search box before it turns into a search (and a Notion filter)
+      useEffect(() => {
+        const t = setTimeout(() => { setQuery(search.trim()); setPage(0); }, 300);
+        return () => clearTimeout(t);
+      }, [search]);
+
+      // Any change to the filters starts again from the first page
+      const refilter = (setter) => (value) => { setter(value); setPage(0); };
+      const toggleTag = tag => refilter(setTagFilter)(tagFilter.includes(tag) ? tagFilter.filter(t => t !== tag) : [...tagFilter, tag]);
+      const pickYear = year => { refilter(setDateFrom)(year + "-01-01"); setDateTo(year + "-12-31"); };
+
+      useEffect(() => {
+        let cancelled = false;
+        (async () => {
+          setSearching(true); setSearchError("");
+          try {
+            const params = new URLSearchParams({ q: query, page: String(page), pageSize: String(SEARCH_PAGE_SIZE) });
+            if (dateFrom) params.set("from", dateFrom);
+            if (dateTo) params.set("to", dateTo);
+            if (tagFilter.length) params.set("tags", tagFilter.join(","));
+            params.set("sort", SEARCH_SORTS[sort]);
+            if (includeVault) params.set("vault", "1");
+            const d = await apiJson("/api/search?" + params.toString());
+            if (!cancelled) setResults(d);
+          } catch (err) { if (!cancelled) setSearchError(err.message); }
+          if (!cancelled) setSearching(false);
+        })();
+        return () => { cancelled = true; };
+      }, [query, page, dateFrom, dateTo, tagFilter, sort, includeVault, entries]);
+
+      // Property names for reading and filtering the Notion database
+      useEffect(() => {
+        if (isConfigured) apiJson("/api/settings").then(setNotionSettings).catch(err => setNotionError(err.message));
+      }, [isConfigured]);
+
+      const loadNotion = useCallback(async (cursor) => {
+        if (!notionSettings) return;
+        const { notionTitleProperty, notionDateProperty } = notionSettings;
+        setLoadingNotion(true); setNotionError("");
+        try {
+          const filters = [];
+          if (query) filters.push({ property: notionTitleProperty, title: { contains: query } });
+          if (dateFrom) filters.push({ property: notionDateProperty, date: { on_or_after: dateFrom } });
+          if (dateTo) filters.push({ property: notionDateProperty, date: { on_or_before: dateTo } });
+          const body = { sorts: notionSorts(sort, notionDateProperty), page_size: 50 };
+          if (filters.length) body.filter = filters.length === 1 ? filters[0] : { and: filters };
+          if (cursor) body.start_cursor = cursor;
+          const resp = await fetch("/api/notion/query", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+          });
+          const d = await resp.json();
+          if (!resp.ok) throw new Error(d.message || "Notion query failed: " + resp.status);
+          const mapped = d.results.map(page => notionPageToEntry(page, notionSettings));
+          setNotionEntries(prev => cursor ? [...prev, ...mapped] : mapped);
+          setNextCursor(d.has_more ? d.next_cursor : null);
+        } catch (err) { setNotionError(err.message); }
+        setLoadingNotion(false);
+      }, [query, sort, dateFrom, dateTo, notionSettings]);
+
+      useEffect(() => { if (isConfigured) loadNotion(null); }, [isConfigured, loadNotion]);
+
+      const toggle = async (entry) => {
+        const open = expanded === entry.id ? null : entry.id;
+        setExpanded(open);
+        if (!open || entry.ocrText !== null || notionText[entry.id] !== undefined) return;
+        try {
+          const resp = await fetch("/api/notion/blocks/" + entry.id + "/children");
+          const d = await resp.json();
+          if (!resp.ok) throw new Error(d.message);
+          setNotionText(t => ({ ...t, [entry.id]: blocksToText(d.results) }));
+        } catch (err) { setNotionText(t => ({ ...t, [entry.id]: "Could not load text from Notion: " + err.message })); }
+      };
+
+      const resend = async (entry) => {
+        setBusyId(entry.id); setActionError("");
+        try { await syncEntryToNotion(entry); } catch (err) { setActionError("Notion Error: " + err.message); }
+        setBusyId(null); onEntriesChanged();
+      };
+
+      const remove = async (entry) => {
+        if (!confirm("Delete \u201c" + entry.title + "\u201d from the scanner? Its Notion page (if any) is kept.")) return;
+        setBusyId(entry.id); setActionError("");
+        try { await apiJson("/api/entries/" + entry.id, "DELETE"); } catch (err) { setActionError("Delete Error: " + err.message); }
+        setBusyId(null); onEntriesChanged();
+      };
+
+      // Search results carry the snippet; stored scans keep their full entry for the actions below
+      const byId = new Map(entries.map(e => [e.id, e]));
+      const found = (results ? results.results : [])
+        .map(r => r.kind === "scan" ? (byId.has(r.id) ? { ...byId.get(r.id), snippet: r.snippet } : null) : vaultResultToEntry(r))
+        .filter(Boolean);
+      // Stored scans sent to Notion also come back from the query; keep the stored copy
+      const localIds = new Set(entries.map(e => e.notionPageId).filter(Boolean));
+      const notionOnly = notionEntries.filter(e => !localIds.has(e.id));
+      const matchCount = results ? results.total : 0;
+      const total = matchCount + notionOnly.length;
+      const isStored = e => e.syncStatus !== undefined;
+      const hasFilters = search || dateFrom || dateTo || tagFilter.length > 0;
+      const facets = results ? results.facets : { tags: [], years: [] };
+      const firstShown = page * SEARCH_PAGE_SIZE + 1;
+      const lastShown = Math.min(matchCount, (page + 1) * SEARCH_PAGE_SIZE);
+      const chip = active => ({ fontSize: 11, padding: "3px 9px", borderRadius: 12, cursor: "pointer", fontFamily: "inherit", fontWeight: 500, border: "1px solid " + (active ? P.accent : P.border), background: active ? P.accent : P.white, color: active ? P.white : P.text });
+
+      const renderEntry = entry => (
+        <div key={entry.id} style={{ background: P.white, borderRadius: 12, padding: "16px 18px", cursor: "pointer", border: "1px solid " + P.border }} onClick={() => toggle(entry)}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <div style={{ display: "flex", gap: 14, alignItems: "center" }}>
+              {entry.imageUrl && <img src={entry.imageUrl} alt="" style={{ width: 48, height: 48, borderRadius: 6, objectFit: "cover", border: "1px solid " + P.border }} />}
+              <div>
+                <h4 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: P.ink }}>{entry.title}</h4>
+                <p style={{ margin: "2px 0 0", fontSize: 12, color: P.textMuted }}>
+                  {entry.date ? new Date(entry.date).toLocaleDateString("en-US", { weekday: "long", year: "numeric", month: "long", day: "numeric" }) : entry.vaultPath}
+                  {entry.notionUrl && <span style={{ marginLeft: 8, fontSize: 11, color: P.sage, fontWeight: 600 }}>Notion ✓</span>}
+                  {entry.syncStatus === "failed" && <span title={entry.syncError || ""} style={{ marginLeft: 8, fontSize: 11, color: P.red, fontWeight: 600 }}>Sync failed</span>}
+                  {entry.syncStatus === "local" && <span style={{ marginLeft: 8, fontSize: 11, color: P.textMuted, fontWeight: 600 }}>Local only</span>}
+                  {entry.vaultPath && <span title={entry.vaultPath} style={{ marginLeft: 8, fontSize: 11, color: P.gold, fontWeight: 600 }}>Vault · {entry.profile}</span>}
+                </p>
+                {entry.tags && (
+                  <div style={{ display: "flex", gap: 4, marginTop: 4, flexWrap: "wrap" }}>
+                    {entry.tags.split(",").map((t, i) => <span key={i} style={{ fontSize: 11, padding: "2px 8px", borderRadius: 4, background: P.accentMuted, color: P.accent, fontWeight: 500 }}>{t.trim()}</span>)}
+                  </div>
+                )}
+                {query && entry.snippet && entry.snippet.some(s => s.match) && (
+                  <p style={{ margin: "6px 0 0", fontSize: 13, lineHeight: 1.5, color: P.text }}>
+                    {entry.snippet.map((s, i) => s.match ? <mark key={i} style={{ background: P.goldLight, color: P.ink, borderRadius: 2, padding: "0 1px" }}>{s.text}</mark> : <span key={i}>{s.text}</span>)}
+                  </p>
+                )}
+              </div>
+            </div>
+            <span style={{ fontSize: 16, color: P.textMuted, transition: "transform 0.2s", transform: expanded === entry.id ? "rotate(180deg)" : "rotate(0deg)" }}>▾</span>
+          </div>
+          {expanded === entry.id && (
+            <div style={{ marginTop: 16, paddingTop: 16, borderTop: "1px solid " + P.border }}>
+              <pre style={{ fontSize: 13, lineHeight: 1.7, whiteSpace: "pre-wrap", fontFamily: "'Source Code Pro', monospace", color: P.text, margin: "0 0 16px", background: P.cream, padding: 14, borderRadius: 8 }}>{entry.ocrText ?? notionText[entry.id] ?? "Loading from Notion..."}</pre>
+              {(entry.imageUrls || []).map((url, i) => <img key={url} src={url} alt={"Original scan, page " + (i + 1)} style={{ maxWidth: "100%", borderRadius: 8, border: "1px solid " + P.border, marginBottom: 8 }} />)}
+              <div style={{ display: "flex", gap: 10, alignItems: "center", marginTop: 12, flexWrap: "wrap" }} onClick={e => e.stopPropagation()}>
+                {entry.notionUrl && <a href={entry.notionUrl} target="_blank" rel="noopener noreferrer" style={{ ...S.link, fontSize: 13 }}>Open in Notion →</a>}
+                {entry.obsidianUrl && <a href={entry.obsidianUrl} style={{ ...S.link, fontSize: 13 }}>Open in Obsidian →</a>}
+                {isStored(entry) && entry.syncStatus !== "synced" && isConfigured && <button style={S.secondaryBtn} disabled={busyId === entry.id} onClick={() => resend(entry)}>{busyId === entry.id ? "Sending..." : "Send to Notion →"}</button>}
+                {isStored(entry) && <button style={{ ...S.ghostBtn, color: P.red }} disabled={busyId === entry.id} onClick={() => remove(entry)}>Delete</button>}
+              </div>
+            </div>
+          )}
+        </div>
       );
 
       return (
         <div>
           <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 20, flexWrap: "wrap", gap: 12 }}>
-            <h2 style={{ fontSize: 20, fontWeight: 700, color: P.ink, margin: 0 }}>Scanned Entries <span style={{ fontSize: 14, fontWeight: 400, color: P.textMuted }}>{entries.length}</span></h2>
-            {entries.length > 0 && (
+            <h2 style={{ fontSize: 20, fontWeight: 700, color: P.ink, margin: 0 }}>Journal Entries <span style={{ fontSize: 14, fontWeight: 400, color: P.textMuted }}>{total}{nextCursor ? "+" : ""}</span></h2>
+            {(total > 0 || hasFilters || includeVault) && (
               <div style={{ position: "relative" }}>
                 <span style={{ position: "absolute", left: 10, top: "50%", transform: "translateY(-50%)", fontSize: 14 }}>🔍</span>
-                <input type="text" value={search} onChange={e => setSearch(e.target.value)} placeholder="Search entries..." style={{ padding: "8px 12px 8px 32px", border: "1.5px solid " + P.border, borderRadius: 8, fontSize: 13, fontFamily: "inherit", background: P.white, minWidth: 220 }} />
+                <input type="text" value={search} onChange={e => setSearch(e.target.value)} placeholder={'Search: words, "a phrase", pre*'} style={{ padding: "8px 12px 8px 32px", border: "1.5px solid " + P.border, borderRadius: 8, fontSize: 13, fontFamily: "inherit", background: P.white, minWidth: 220 }} />
               </div>
             )}
           </div>
 
-          {entries.length === 0 ? (
+          <div style={{ display: "flex", gap: 10, alignItems: "flex-end", marginBottom: 12, flexWrap: "wrap" }}>
+            <div><label style={{ ...S.fieldLabel, marginTop: 0 }}>Sort</label>
+              <select value={sort} onChange={e => refilter(setSort)(e.target.value)} style={{ ...S.textInput, width: "auto", marginBottom: 0 }}>
+                <option value="relevance">Best match</option>
+                <option value="newest">Newest first</option>
+                <option value="oldest">Oldest first</option>
+                {isConfigured && <option value="edited">Recently edited (Notion)</option>}
+              </select>
+            </div>
+            <div><label style={{ ...S.fieldLabel, marginTop: 0 }}>From</label><input type="date" value={dateFrom} onChange={e => refilter(setDateFrom)(e.target.value)} style={{ ...S.textInput, marginBottom: 0 }} /></div>
+            <div><label style={{ ...S.fieldLabel, marginTop: 0 }}>To</label><input type="date" value={dateTo} onChange={e => refilter(setDateTo)(e.target.value)} style={{ ...S.textInput, marginBottom: 0 }} /></div>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, color: P.text, paddingBottom: 8 }}>
+              <input type="checkbox" checked={includeVault} onChange={e => refilter(setIncludeVault)(e.target.checked)} /> Include vault notes
+            </label>
+            {isConfigured && <button style={S.ghostBtn} onClick={() => loadNotion(null)} disabled={loadingNotion}>{loadingNotion ? "Syncing..." : "↻ Sync from Notion"}</button>}
+          </div>
+
+          {(facets.tags.length > 0 || facets.years.length > 1 || tagFilter.length > 0) && (
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginBottom: 16 }}>
+              {facets.years.length > 1 && facets.years.map(y => <button key={y.value} style={chip(dateFrom === y.value + "-01-01" && dateTo === y.value + "-12-31")} onClick={() => pickYear(y.value)}>{y.value} · {y.count}</button>)}
+              {tagFilter.filter(t => !facets.tags.some(f => f.value === t)).map(t => <button key={t} style={chip(true)} onClick={() => toggleTag(t)}>#{t} ✕</button>)}
+              {facets.tags.map(f => <button key={f.value} style={chip(tagFilter.includes(f.value))} onClick={() => toggleTag(f.value)}>#{f.value} · {f.count}{tagFilter.includes(f.value) ? " ✕" : ""}</button>)}
+            </div>
+          )}
+
+          {includeVault && results && results.vaultNotes === 0 && (
+            <p style={{ fontSize: 12, color: P.textMuted, margin: "0 0 12px" }}>No journal folders from import-profiles.json were found on the server, so only stored scans are searched.</p>
+          )}
+
+          {actionError && (
+            <div style={{ background: P.redMuted, border: "1px solid " + P.red, borderRadius: 10, padding: "12px 16px", marginBottom: 16, fontSize: 13, color: P.red }}>
+              <strong>Error:</strong> {actionError}
+            </div>
+          )}
+
+          {searchError && (
+            <div style={{ background: P.redMuted, border: "1px solid " + P.red, borderRadius: 10, padding: "12px 16px", marginBottom: 16, fontSize: 13, color: P.red }}>
+              <strong>Search:</strong> {searchError}
+            </div>
+          )}
+
+          {notionError && (
+            <div style={{ background: P.redMuted, border: "1px solid " + P.red, borderRadius: 10, padding: "12px 16px", marginBottom: 16, fontSize: 13, color: P.red }}>
+              <strong>Notion:</strong> {notionError}
+            </div>
+          )}
+
+          {total === 0 && !hasFilters ? (
             <div style={{ textAlign: "center", padding: "60px 24px", background: P.white, borderRadius: 16 }}>
               <div style={{ fontSize: 40, marginBottom: 12 }}>📖</div>
-              <h3 style={{ color: P.text, margin: "0 0 6px" }}>No entries yet</h3>
+              <h3 style={{ color: P.text, margin: "0 0 6px" }}>{loadingNotion || searching ? "Loading entries..." : "No entries yet"}</h3>
               <p style={{ color: P.textMuted, margin: 0, fontSize: 14 }}>Scan your first journal page to see it here.</p>
             </div>
-          ) : filtered.length === 0 ? (
+          ) : total === 0 ? (
             <div style={{ textAlign: "center", padding: "60px 24px", background: P.white, borderRadius: 16 }}>
-              <p style={{ color: P.textMuted, margin: 0 }}>No entries match "{search}"</p>
+              <p style={{ color: P.textMuted, margin: 0 }}>{loadingNotion || searching ? "Searching..." : search ? <span>No entries match "{search}"</span> : "No entries match these filters"}</p>
             </div>
           ) : (
             <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-              {filtered.map(entry => (
-                <div key={entry.id} style={{ background: P.white, borderRadius: 12, padding: "16px 18px", cursor: "pointer", border: "1px solid " + P.border }} onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}>
-                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-                    <div style={{ display: "flex", gap: 14, alignItems: "center" }}>
-                      {entry.imageData && <img src={entry.imageData} alt="" style={{ width: 48, height: 48, borderRadius: 6, objectFit: "cover", border: "1px solid " + P.border }} />}
+              {found.map(renderEntry)}
+              {matchCount > SEARCH_PAGE_SIZE && (
+                <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 14, marginTop: 6 }}>
+                  <button style={S.ghostBtn} disabled={page === 0 || searching} onClick={() => setPage(page - 1)}>‹ Previous</button>
+                  <span style={{ fontSize: 13, color: P.textMuted }}>{firstShown}–{lastShown} of {matchCount}</span>
+                  <button style={S.ghostBtn} disabled={lastShown >= matchCount || searching} onClick={() => setPage(page + 1)}>Next ›</button>
+                </div>
+              )}
+              {notionOnly.length > 0 && <h3 style={{ fontSize: 14, fontWeight: 600, color: P.textMuted, margin: "14px 0 0" }}>Only in Notion</h3>}
+              {notionOnly.map(renderEntry)}
+              {nextCursor && (
+                <button style={{ ...S.secondaryBtn, alignSelf: "center", marginTop: 6 }} onClick={() => loadNotion(nextCursor)} disabled={loadingNotion}>{loadingNotion ? "Loading..." : "Load more from Notion"}</button>
+              )}
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    // ============================================================
+    // ReviewView — entries staged by "import.js --stage", checked
+    // against their page images before they go into the vault
+    // ============================================================
+    function ReviewView() {
+      const [staged, setStaged] = useState([]);
+      const [profiles, setProfiles] = useState([]);
+      const [drafts, setDrafts] = useState({});
+      const [loading, setLoading] = useState(true);
+      const [busyId, setBusyId] = useState(null);
+      const [error, setError] = useState("");
+      const [notice, setNotice] = useState("");
+
+      const load = useCallback(async () => {
+        setLoading(true); setError("");
+        try {
+          const d = await apiJson("/api/staging");
+          setStaged(d.entries); setProfiles(d.profiles);
+        } catch (err) { setError(err.message); }
+        setLoading(false);
+      }, []);
+
+      useEffect(() => { load(); }, [load]);
+
+      const draftOf = entry => drafts[entry.id] || { date: entry.date || "", text: entry.text };
+      const edit = (entry, field, value) => setDrafts(d => ({ ...d, [entry.id]: { ...draftOf(entry), [field]: value } }));
+      const isEdited = entry => drafts[entry.id] && (drafts[entry.id].date !== (entry.date || "") || drafts[entry.id].text !== entry.text);
+      const entryUrl = entry => "/api/staging/" + encodeURIComponent(entry.profile) + "/" + entry.id;
+
+      const act = async (entry, fn) => {
+        setBusyId(entry.id); setError(""); setNotice("");
+        try { await fn(); } catch (err) { setError(err.message); }
+        setBusyId(null);
+      };
+
+      const save = entry => act(entry, async () => {
+        const updated = await apiJson(entryUrl(entry), "PUT", draftOf(entry));
+        setStaged(list => list.map(e => e.id === entry.id ? updated : e));
+        setDrafts(d => { const { [entry.id]: _, ...rest } = d; return rest; });
+      });
+
+      const approve = entry => act(entry, async () => {
+        const d = await apiJson(entryUrl(entry) + "/approve", "POST", draftOf(entry));
+        setStaged(list => list.filter(e => e.id !== entry.id));
+        setNotice("Written to " + d.path);
+      });
+
+      const reject = entry => {
+        if (!confirm("Discard the staged entry for " + (entry.date || "an unknown date") + "? Nothing is written to the vault.")) return;
+        act(entry, async () => {
+          await apiJson(entryUrl(entry), "DELETE");
+          setStaged(list => list.filter(e => e.id !== entry.id));
+        });
+      };
+
+      const profileLabel = name => {
+        const p = profiles.find(x => x.name === name);
+        return p && p.description ? p.description : name;
+      };
+
+      return (
+        <div>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 20, flexWrap: "wrap", gap: 12 }}>
+            <h2 style={{ fontSize: 20, fontWeight: 700, color: P.ink, margin: 0 }}>Review Imports <span style={{ fontSize: 14, fontWeight: 400, color: P.textMuted }}>{staged.length}</span></h2>
+            <button style={S.ghostBtn} onClick={load} disabled={loading}>{loading ? "Loading..." : "↻ Refresh"}</button>
+          </div>
+
+          {error && (
+            <div style={{ background: P.redMuted, border: "1px solid " + P.red, borderRadius: 10, padding: "12px 16px", marginBottom: 16, fontSize: 13, color: P.red }}>
+              <strong>Error:</strong> {error}
+            </div>
+          )}
+
+          {notice && (
+            <div style={{ background: P.sageMuted, border: "1px solid " + P.sage, borderRadius: 10, padding: "12px 16px", marginBottom: 16, fontSize: 13, color: P.sage, wordBreak: "break-all" }}>✓ {notice}</div>
+          )}
+
+          {staged.length === 0 ? (
+            <div style={{ textAlign: "center", padding: "60px 24px", background: P.white, borderRadius: 16 }}>
+              <div style={{ fontSize: 40, marginBottom: 12 }}>🗂️</div>
+              <h3 style={{ color: P.text, margin: "0 0 6px" }}>{loading ? "Loading staged entries..." : "Nothing waiting for review"}</h3>
+              <p style={{ color: P.textMuted, margin: 0, fontSize: 14 }}>Run <code style={S.code}>node import.js --stage</code> to transcribe pages for review here.</p>
+            </div>
+          ) : (
+            <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+              {staged.map(entry => {
+                const draft = draftOf(entry);
+                const busy = busyId === entry.id;
+                return (
+                  <div key={entry.id} style={{ ...S.card, marginTop: 0 }}>
+                    <p style={{ margin: "0 0 14px", fontSize: 12, color: P.textMuted }}>
+                      <span style={{ fontSize: 11, padding: "2px 8px", borderRadius: 4, background: P.accentMuted, color: P.accent, fontWeight: 600, marginRight: 8 }}>{profileLabel(entry.profile)}</span>
+                      {entry.pages.join(", ")}
+                    </p>
+                    <div className="review-grid" style={{ display: "grid", gridTemplateColumns: "minmax(200px, 1fr) 1fr", gap: 24 }}>
+                      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                        {entry.imageUrls.map((url, i) => (
+                          <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                            <img src={url} alt={entry.pages[i]} style={{ width: "100%", borderRadius: 6, display: "block", border: "1px solid " + P.border }} />
+                          </a>
+                        ))}
+                      </div>
                       <div>
-                        <h4 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: P.ink }}>{entry.title}</h4>
-                        <p style={{ margin: "2px 0 0", fontSize: 12, color: P.textMuted }}>
-                          {new Date(entry.date).toLocaleDateString("en-US", { weekday: "long", year: "numeric", month: "long", day: "numeric" })}
-                          {entry.notionUrl && <span style={{ marginLeft: 8, fontSize: 11, color: P.sage, fontWeight: 600 }}>Notion ✓</span>}
-                        </p>
-                        {entry.tags && (
-                          <div style={{ display: "flex", gap: 4, marginTop: 4, flexWrap: "wrap" }}>
-                            {entry.tags.split(",").map((t, i) => <span key={i} style={{ fontSize: 11, padding: "2px 8px", borderRadius: 4, background: P.accentMuted, color: P.accent, fontWeight: 500 }}>{t.trim()}</span>)}
+                        {entry.problems && (
+                          <div style={{ background: P.goldLight, border: "1px solid " + P.gold, borderRadius: 8, padding: "10px 14px", marginBottom: 12, fontSize: 13, color: P.text }}>
+                            <strong style={{ color: P.accent }}>Check the date:</strong>
+                            <ul style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+                              {entry.problems.map(problem => <li key={problem}>{problem}</li>)}
+                            </ul>
+                            {entry.suggestedDate && draft.date !== entry.suggestedDate && (
+                              <button style={{ ...S.secondaryBtn, padding: "6px 14px", fontSize: 13, marginTop: 8 }} onClick={() => edit(entry, "date", entry.suggestedDate)}>Use {entry.suggestedDate}</button>
+                            )}
                           </div>
                         )}
+                        <label style={{ ...S.fieldLabel, marginTop: 0 }}>Date</label>
+                        <input type="date" value={draft.date} onChange={e => edit(entry, "date", e.target.value)} style={S.textInput} />
+                        <label style={S.fieldLabel}>Transcribed Text</label>
+                        <textarea value={draft.text} onChange={e => edit(entry, "text", e.target.value)} style={S.textarea} rows={16} />
+                        <div style={{ display: "flex", gap: 10, marginTop: 14, flexWrap: "wrap" }}>
+                          <button style={S.primaryBtn} disabled={busy || !draft.date} onClick={() => approve(entry)}>{busy ? "Working..." : "Approve → Vault"}</button>
+                          {isEdited(entry) && <button style={S.secondaryBtn} disabled={busy} onClick={() => save(entry)}>Save Edits</button>}
+                          <button style={{ ...S.ghostBtn, color: P.red }} disabled={busy} onClick={() => reject(entry)}>Reject</button>
+                        </div>
                       </div>
                     </div>
-                    <span style={{ fontSize: 16, color: P.textMuted, transition: "transform 0.2s", transform: expanded === entry.id ? "rotate(180deg)" : "rotate(0deg)" }}>▾</span>
                   </div>
-                  {expanded === entry.id && (
-                    <div style={{ marginTop: 16, paddingTop: 16, borderTop: "1px solid " + P.border }}>
-                      <pre style={{ fontSize: 13, lineHeight: 1.7, whiteSpace: "pre-wrap", fontFamily: "'Source Code Pro', monospace", color: P.text, margin: "0 0 16px", background: P.cream, padding: 14, borderRadius: 8 }}>{entry.ocrText}</pre>
-                      {entry.imageData && <img src={entry.imageData} alt="Original scan" style={{ maxWidth: "100%", borderRadius: 8, border: "1px solid " + P.border }} />}
-                    </div>
-                  )}
-                </div>
-              ))}
+                );
+              })}
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    // ============================================================
+    // CalendarView — days with entries from every source, "On this
+    // day" from earlier years, and the writing streak and gaps
+    // ============================================================
+    const TIMELINE_SOURCES = {
+      scan: { label: "Scan", color: P.accent, link: "Open in Notion" },
+      notion: { label: "Notion", color: P.ink, link: "Open in Notion" },
+      dayone: { label: "Day One", color: P.sage, link: "Open in Obsidian" },
+      vault: { label: "Vault", color: P.gold, link: "Open in Obsidian" },
+    };
+    const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+    // YYYY-MM-DD in the browser's time zone
+    function localDate(d) {
+      return d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+    }
+
+    function shiftMonth(month, by) {
+      return localDate(new Date(Number(month.slice(0, 4)), Number(month.slice(5, 7)) - 1 + by, 1)).slice(0, 7);
+    }
+
+    function dayCount(n) {
+      return n + " day" + (n === 1 ? "" : "s");
+    }
+
+    function shortDate(date) {
+      return new Date(date + "T00:00:00").toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+    }
+
+    function TimelineItem({ item, note }) {
+      const source = TIMELINE_SOURCES[item.source];
+      return (
+        <div style={{ display: "flex", alignItems: "baseline", gap: 8, padding: "8px 0", borderTop: "1px solid " + P.border, fontSize: 13 }}>
+          <span style={{ fontSize: 11, padding: "2px 8px", borderRadius: 4, background: P.cream, color: source.color, fontWeight: 600, whiteSpace: "nowrap" }}>{source.label}</span>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ color: P.text, overflow: "hidden", textOverflow: "ellipsis" }}>{item.title}</div>
+            {note && <div style={{ fontSize: 12, color: P.textMuted }}>{note}</div>}
+          </div>
+          {item.url && <a href={item.url} target="_blank" rel="noopener noreferrer" style={{ ...S.link, fontSize: 12, whiteSpace: "nowrap" }}>{source.link} ↗</a>}
+        </div>
+      );
+    }
+
+    function CalendarView() {
+      const today = localDate(new Date());
+      const [month, setMonth] = useState(today.slice(0, 7));
+      const [day, setDay] = useState(today);
+      const [timeline, setTimeline] = useState(null);
+      const [loading, setLoading] = useState(true);
+      const [error, setError] = useState("");
+
+      const load = useCallback(async refresh => {
+        setLoading(true); setError("");
+        try {
+          setTimeline(await apiJson("/api/timeline?month=" + month + "&day=" + day + "&today=" + today + (refresh ? "&refresh=1" : "")));
+        } catch (err) { setError(err.message); }
+        setLoading(false);
+      }, [month, day, today]);
+
+      useEffect(() => { load(false); }, [load]);
+
+      // Moving to another month selects today there, or else its first day
+      const goToMonth = m => {
+        setMonth(m);
+        setDay(m === today.slice(0, 7) ? today : m + "-01");
+      };
+
+      const [year, monthIndex] = [Number(month.slice(0, 4)), Number(month.slice(5, 7)) - 1];
+      const leading = new Date(year, monthIndex, 1).getDay();
+      const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+      const cells = [...Array(leading).fill(null), ...Array.from({ length: daysInMonth }, (_, i) => month + "-" + String(i + 1).padStart(2, "0"))];
+      const days = timeline && timeline.month === month ? timeline.days : {};
+      const range = timeline && timeline.range;
+      // Days between the first entry and today with nothing written
+      const isMissed = date => range && !days[date] && date >= range.first && date < today;
+      const missedThisMonth = cells.filter(date => date && isMissed(date)).length;
+
+      const streak = timeline && timeline.streak;
+      const recent = timeline && timeline.recent;
+      const longestGap = timeline && timeline.gaps[0];
+      const dayItems = days[day] || [];
+      const stat = (label, value, detail) => (
+        <div style={{ flex: "1 1 150px", background: P.white, borderRadius: 10, padding: "12px 14px", border: "1px solid " + P.border }}>
+          <div style={{ fontSize: 11, fontWeight: 600, color: P.textMuted, textTransform: "uppercase", letterSpacing: "0.03em" }}>{label}</div>
+          <div style={{ fontSize: 20, fontWeight: 700, color: P.ink, margin: "2px 0" }}>{value}</div>
+          <div style={{ fontSize: 12, color: P.textMuted }}>{detail}</div>
+        </div>
+      );
+
+      return (
+        <div>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 20, flexWrap: "wrap", gap: 12 }}>
+            <h2 style={{ fontSize: 20, fontWeight: 700, color: P.ink, margin: 0 }}>Calendar</h2>
+            <button style={S.ghostBtn} onClick={() => load(true)} disabled={loading}>{loading ? "Loading..." : "↻ Refresh"}</button>
+          </div>
+
+          {error && (
+            <div style={{ background: P.redMuted, border: "1px solid " + P.red, borderRadius: 10, padding: "12px 16px", marginBottom: 16, fontSize: 13, color: P.red }}>
+              <strong>Error:</strong> {error}
+            </div>
+          )}
+
+          {timeline && timeline.notionError && (
+            <div style={{ background: P.goldLight, border: "1px solid " + P.gold, borderRadius: 10, padding: "12px 16px", marginBottom: 16, fontSize: 13, color: P.text }}>
+              <strong style={{ color: P.accent }}>Notion pages not shown:</strong> {timeline.notionError}
             </div>
           )}
+
+          {streak && (
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 20 }}>
+              {stat("Current streak", dayCount(streak.current), streak.current ? "since " + shortDate(streak.currentStart) : "Write today to start one")}
+              {stat("Longest streak", dayCount(streak.longest), streak.longest ? shortDate(streak.longestStart) + " – " + shortDate(streak.longestEnd) : "No entries yet")}
+              {stat("Last " + recent.days + " days", recent.missed + " missed", recent.written + " written")}
+              {stat("Longest gap, past year", longestGap ? dayCount(longestGap.days) : "None", longestGap ? shortDate(longestGap.from) + " – " + shortDate(longestGap.to) : "No gaps of 2 days or more")}
+            </div>
+          )}
+
+          <div className="review-grid" style={{ display: "grid", gridTemplateColumns: "minmax(280px, 3fr) 2fr", gap: 24, alignItems: "start" }}>
+            <div style={{ ...S.card, marginTop: 0 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+                <button style={{ ...S.ghostBtn, padding: "4px 12px", fontSize: 18 }} onClick={() => goToMonth(shiftMonth(month, -1))} aria-label="Previous month">‹</button>
+                <div style={{ textAlign: "center" }}>
+                  <div style={{ fontSize: 16, fontWeight: 700, color: P.ink }}>{new Date(year, monthIndex, 1).toLocaleDateString("en-US", { month: "long", year: "numeric" })}</div>
+                  {month !== today.slice(0, 7) && <button style={{ ...S.ghostBtn, padding: 0, fontSize: 12, color: P.accent }} onClick={() => goToMonth(today.slice(0, 7))}>Back to today</button>}
+                </div>
+                <button style={{ ...S.ghostBtn, padding: "4px 12px", fontSize: 18 }} onClick={() => goToMonth(shiftMonth(month, 1))} aria-label="Next month">›</button>
+              </div>
+
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 4 }}>
+                {WEEKDAYS.map(w => <div key={w} style={{ fontSize: 11, fontWeight: 600, color: P.textMuted, textAlign: "center", paddingBottom: 4 }}>{w}</div>)}
+                {cells.map((date, i) => {
+                  if (!date) return <div key={"blank-" + i} />;
+                  const items = days[date] || [];
+                  const sources = Object.keys(TIMELINE_SOURCES).filter(s => items.some(item => item.source === s));
+                  const selected = date === day;
+                  return (
+                    <button key={date} onClick={() => setDay(date)} title={items.length ? items.length + " entr" + (items.length === 1 ? "y" : "ies") : isMissed(date) ? "Missed" : ""} style={{
+                      minHeight: 54, padding: "4px 2px", borderRadius: 8, fontFamily: "inherit", fontSize: 13,
+                      display: "flex", flexDirection: "column", alignItems: "center", gap: 4,
+                      border: selected ? "2px solid " + P.accent : date === today ? "2px solid " + P.gold : "1px solid " + P.border,
+                      background: items.length ? P.accentMuted : isMissed(date) ? P.redMuted : P.white,
+                      color: date > today ? P.textMuted : P.text, fontWeight: items.length ? 600 : 400,
+                    }}>
+                      {Number(date.slice(8))}
+                      <span style={{ display: "flex", gap: 3 }}>
+                        {sources.map(s => <span key={s} style={{ width: 6, height: 6, borderRadius: 3, background: TIMELINE_SOURCES[s].color }} />)}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+
+              <div style={{ display: "flex", gap: 14, flexWrap: "wrap", marginTop: 14, fontSize: 12, color: P.textMuted }}>
+                {Object.entries(TIMELINE_SOURCES).map(([id, s]) => (
+                  <span key={id} style={{ display: "inline-flex", alignItems: "center", gap: 5 }}>
+                    <span style={{ width: 8, height: 8, borderRadius: 4, background: s.color }} />{s.label} {timeline && timeline.counts[id] ? "(" + timeline.counts[id] + ")" : ""}
+                  </span>
+                ))}
+                {range && <span style={{ display: "inline-flex", alignItems: "center", gap: 5 }}><span style={{ width: 8, height: 8, borderRadius: 2, background: P.redMuted, border: "1px solid " + P.red }} />Missed this month ({missedThisMonth})</span>}
+              </div>
+            </div>
+
+            <div>
+              <div style={{ ...S.card, marginTop: 0 }}>
+                <h3 style={{ margin: "0 0 8px", fontSize: 15, color: P.ink }}>{new Date(day + "T00:00:00").toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric", year: "numeric" })}</h3>
+                {dayItems.length
+                  ? dayItems.map(item => <TimelineItem key={item.id} item={item} />)
+                  : <p style={{ margin: 0, fontSize: 13, color: P.textMuted }}>{loading ? "Loading..." : isMissed(day) ? "Nothing written on this day." : "No entries."}</p>}
+              </div>
+
+              <div style={S.card}>
+                <h3 style={{ margin: "0 0 8px", fontSize: 15, color: P.ink }}>On this day <span style={{ fontSize: 13, fontWeight: 400, color: P.textMuted }}>{new Date(day + "T00:00:00").toLocaleDateString("en-US", { month: "long", day: "numeric" })}</span></h3>
+                {timeline && timeline.onThisDay.length
+                  ? timeline.onThisDay.map(item => <TimelineItem key={item.id} item={item} note={item.date.slice(0, 4) + " · " + item.yearsAgo + " year" + (item.yearsAgo === 1 ? "" : "s") + " ago"} />)
+                  : <p style={{ margin: 0, fontSize: 13, color: P.textMuted }}>{loading ? "Loading..." : "Nothing from this date in earlier years."}</p>}
+              </div>
+            </div>
+          </div>
+
+          {range && <p style={{ marginTop: 16, fontSize: 12, color: P.textMuted, textAlign: "center" }}>Entries from {shortDate(range.first)} to {shortDate(range.last)}</p>}
         </div>
       );
     }
 
+    const OCR_ENGINES = [
+      { id: "google-vision", label: "Google Cloud Vision", help: "Fast and cheap; returns raw text for you to date and tidy." },
+      { id: "anthropic", label: "Claude (Anthropic)", help: "Best with messy handwriting; also detects entry dates." },
+      { id: "tesseract", label: "Tesseract (local, offline)", help: "Runs on the server with no API key. Requires the tesseract binary to be installed there." },
+    ];
+
+    // Our fields and the Notion property each is written to (see NOTION_FIELDS on the server)
+    const NOTION_PROPERTY_FIELDS = [
+      { setting: "notionTitleProperty", label: "Title", placeholder: "Name", required: true },
+      { setting: "notionDateProperty", label: "Date", placeholder: "Date", required: true },
+      { setting: "notionTagsProperty", label: "Tags", placeholder: "Tags" },
+      { setting: "notionSourceProperty", label: "Source", placeholder: "Source" },
+      { setting: "notionFilesProperty", label: "Scan Files", placeholder: "e.g. Scan" },
+    ];
+    const NOTION_TYPE_LABELS = { title: "Title", date: "Date", multi_select: "Multi-select", select: "Select", files: "Files & media" };
+    const notionTypeLabel = type => NOTION_TYPE_LABELS[type] || type.replace(/_/g, " ");
+
+    // What the schema check found for one field, in words
+    function schemaFieldMessage(f) {
+      const type = notionTypeLabel(f.type);
+      if (f.status === "ok") return "\\u201c" + f.property + "\\u201d (" + type + ")";
+      if (f.status === "unused") return "Not written (no property name)";
+      if (f.status === "wrong-type") return "\\u201c" + f.property + "\\u201d is a " + notionTypeLabel(f.actualType) + " property; it needs to be " + type + ".";
+      if (f.type === "title") return "The database has no \\u201c" + f.property + "\\u201d title. Use its title property instead.";
+      return "No \\u201c" + f.property + "\\u201d property yet. Add Missing Properties creates it as " + type + ".";
+    }
+
     // ============================================================
     // SettingsView — loads/saves via server API
     // ============================================================
     function SettingsView({ isConfigured, onSettingsChanged }) {
-      const [form, setForm] = useState({ notionToken: "", notionDatabaseId: "", googleVisionKey: "" });
+      const formFromSettings = data => ({
+        notionToken: data.notionToken || "",
+        notionDatabaseId: data.notionDatabaseId || "",
+        googleVisionKey: data.googleVisionKey || "",
+        anthropicApiKey: data.anthropicApiKey || "",
+        ocrEngine: data.ocrEngine || "google-vision",
+        notionTitleProperty: data.notionTitleProperty ?? "Name",
+        notionDateProperty: data.notionDateProperty ?? "Date",
+        notionTagsProperty: data.notionTagsProperty ?? "Tags",
+        notionSourceProperty: data.notionSourceProperty ?? "Source",
+        notionFilesProperty: data.notionFilesProperty || "",
+      });
+      const [form, setForm] = useState(formFromSettings({}));
       const [loading, setLoading] = useState(true);
       const [saving, setSaving] = useState(false);
       const [saveMsg, setSaveMsg] = useState(null);
-      const [showTokens, setShowTokens] = useState({ notion: false, vision: false });
+      const [showTokens, setShowTokens] = useState({ notion: false, vision: false, anthropic: false });
+      const [schema, setSchema] = useState(null);
+      const [schemaBusy, setSchemaBusy] = useState(false);
+      const [schemaError, setSchemaError] = useState("");
 
       useEffect(() => {
         fetch("/api/settings")
           .then(r => r.json())
           .then(data => {
-            setForm({
-              notionToken: data.notionToken || "",
-              notionDatabaseId: data.notionDatabaseId || "",
-              googleVisionKey: data.googleVisionKey || "",
-            });
+            setForm(formFromSettings(data));
             setLoading(false);
           })
           .catch(() => setLoading(false));
       }, []);
 
-      const update = (key, val) => { setForm(f => ({ ...f, [key]: val })); setSaveMsg(null); };
+      const update = (key, val) => { setForm(f => ({ ...f, [key]: val })); setSaveMsg(null); setSchema(null); };
+
+      // Checks the property names in the form against the saved database;
+      // with setup, also adds the properties it doesn't have yet
+      const checkSchema = async setup => {
+        setSchemaBusy(true); setSchemaError("");
+        try {
+          const mapping = Object.fromEntries(NOTION_PROPERTY_FIELDS.map(p => [p.setting, form[p.setting]]));
+          setSchema(await apiJson("/api/notion/schema/" + (setup ? "setup" : "verify"), "POST", { mapping }));
+        } catch (err) { setSchema(null); setSchemaError(err.message); }
+        setSchemaBusy(false);
+      };
+      const canAddMissing = schema && schema.fields.some(f => f.status === "missing" && f.type !== "title");
 
       const handleSave = async () => {
         setSaving(true); setSaveMsg(null);
@@ -534,7 +2434,7 @@ function getHTML() {
           const data = await resp.json();
           if (data.success) {
             setSaveMsg({ type: "success", text: "Settings saved! They now work on all your devices." });
-            setForm({ notionToken: data.notionToken || "", notionDatabaseId: data.notionDatabaseId || "", googleVisionKey: data.googleVisionKey || "" });
+            setForm(formFromSettings(data));
             if (onSettingsChanged) onSettingsChanged(data.isConfigured);
           } else { throw new Error(data.message || "Save failed"); }
         } catch (err) { setSaveMsg({ type: "error", text: "Failed to save: " + err.message }); }
@@ -582,19 +2482,92 @@ function getHTML() {
             </div>
             <label style={{ ...S.fieldLabel, marginTop: 14 }}>Database ID</label>
             <input type="text" value={form.notionDatabaseId} onChange={e => update("notionDatabaseId", e.target.value)} style={S.textInput} placeholder="abc123def456..." />
+
+            <label style={{ ...S.fieldLabel, marginTop: 14 }}>Database Properties</label>
+            <p style={{ fontSize: 12, color: P.textMuted, margin: "0 0 8px" }}>The property each field is written to, so you can use an existing journal database. Leave Tags, Source or Scan Files blank to skip them; Scan Files also holds the scan image, which is always embedded in the page.</p>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(160px, 1fr))", gap: "0 12px" }}>
+              {NOTION_PROPERTY_FIELDS.map(p => (
+                <div key={p.setting}>
+                  <label style={{ ...S.fieldLabel, marginTop: 4, textTransform: "none", letterSpacing: 0 }}>{p.label}{p.required ? "" : " (optional)"}</label>
+                  <input type="text" value={form[p.setting]} onChange={e => update(p.setting, e.target.value)} style={S.textInput} placeholder={p.placeholder} />
+                </div>
+              ))}
+            </div>
+            <div style={{ display: "flex", gap: 10, marginTop: 10, flexWrap: "wrap", alignItems: "center" }}>
+              <button style={{ ...S.secondaryBtn, padding: "7px 16px", fontSize: 13 }} disabled={schemaBusy} onClick={() => checkSchema(false)}>{schemaBusy ? "Checking..." : "Verify Database"}</button>
+              {canAddMissing && <button style={{ ...S.primaryBtn, padding: "7px 16px", fontSize: 13 }} disabled={schemaBusy} onClick={() => checkSchema(true)}>Add Missing Properties</button>}
+              <span style={{ fontSize: 12, color: P.textMuted }}>Uses the saved token and database ID.</span>
+            </div>
+            {schemaError && <p style={{ fontSize: 13, color: P.red, margin: "8px 0 0" }}>✕ {schemaError}</p>}
+            {schema && (
+              <div style={{ marginTop: 12, padding: "12px 14px", borderRadius: 8, border: "1px solid " + P.border, background: P.cream, fontSize: 13 }}>
+                <p style={{ margin: "0 0 8px", color: P.textMuted }}>Database: {schema.database.url ? <a href={schema.database.url} target="_blank" rel="noopener noreferrer" style={S.link}>{schema.database.title}</a> : schema.database.title}</p>
+                {schema.created && schema.created.length > 0 && <p style={{ margin: "0 0 8px", color: P.sage, fontWeight: 600 }}>✓ Added {schema.created.join(", ")}. Save Settings if you changed any names.</p>}
+                {schema.fields.map(f => (
+                  <div key={f.setting} style={{ display: "flex", gap: 8, padding: "4px 0", alignItems: "baseline" }}>
+                    <span style={{ width: 16, color: f.status === "ok" ? P.sage : f.status === "unused" ? P.textMuted : P.red }}>{f.status === "ok" ? "✓" : f.status === "unused" ? "–" : "✕"}</span>
+                    <div style={{ flex: 1 }}>
+                      <strong>{f.label}:</strong> {schemaFieldMessage(f)}
+                      {(f.candidates || []).filter(name => name !== f.property).map(name => (
+                        <button key={name} onClick={() => update(f.setting, name)} style={{ marginLeft: 6, padding: "2px 8px", border: "1px solid " + P.borderDark, borderRadius: 5, background: P.white, fontSize: 12, color: P.accent, fontFamily: "inherit" }}>Use {name}</button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
             <div style={S.helpBox}>
               <strong>Setup Steps:</strong>
               <ol style={{ margin: "6px 0 0", paddingLeft: 20, fontSize: 13 }}>
                 <li>Go to <a href="https://www.notion.so/my-integrations" target="_blank" rel="noopener noreferrer" style={S.link}>notion.so/my-integrations</a> and create a new integration</li>
                 <li>Copy the "Internal Integration Secret" token</li>
-                <li>Create a Notion database with: <code style={S.code}>Name</code> (title), <code style={S.code}>Date</code> (date), <code style={S.code}>Tags</code> (multi-select), <code style={S.code}>Source</code> (select)</li>
+                <li>Create a Notion database, or pick an existing journal database</li>
                 <li>Share the database with your integration (click ··· → Connections)</li>
                 <li>Copy the database ID from the URL: <code style={S.code}>notion.so/[workspace]/<strong>[DATABASE_ID]</strong>?v=...</code></li>
+                <li>Save, then <strong>Verify Database</strong> to check the property names above and add any that are missing</li>
               </ol>
             </div>
           </div>
 
+          {/* OCR engine */}
+          <div style={S.card}>
+            <div style={{ display: "flex", gap: 12, alignItems: "flex-start", marginBottom: 16 }}>
+              <span style={{ fontSize: 22 }}>✍️</span>
+              <div>
+                <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700, color: P.ink }}>Handwriting Recognition</h3>
+                <p style={{ margin: "2px 0 0", fontSize: 13, color: P.textMuted }}>Choose which OCR engine reads your pages.</p>
+              </div>
+            </div>
+            <label style={S.fieldLabel}>OCR Engine</label>
+            <select value={form.ocrEngine} onChange={e => update("ocrEngine", e.target.value)} style={S.textInput}>
+              {OCR_ENGINES.map(en => <option key={en.id} value={en.id}>{en.label}</option>)}
+            </select>
+            <p style={{ fontSize: 12, color: P.textMuted, margin: "2px 0 0" }}>{OCR_ENGINES.find(en => en.id === form.ocrEngine)?.help}</p>
+          </div>
+
+          {/* Anthropic */}
+          {form.ocrEngine === "anthropic" && (
+          <div style={S.card}>
+            <div style={{ display: "flex", gap: 12, alignItems: "flex-start", marginBottom: 16 }}>
+              <span style={{ fontSize: 22 }}>🤖</span>
+              <div>
+                <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700, color: P.ink }}>Anthropic (Claude)</h3>
+                <p style={{ margin: "2px 0 0", fontSize: 13, color: P.textMuted }}>Reads handwriting and splits the page into dated entries.</p>
+              </div>
+            </div>
+            <label style={S.fieldLabel}>API Key</label>
+            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <input type={showTokens.anthropic ? "text" : "password"} value={form.anthropicApiKey} onChange={e => update("anthropicApiKey", e.target.value)} onFocus={e => { if (e.target.value.includes("••••")) update("anthropicApiKey", ""); }} style={{ ...S.textInput, flex: 1, marginBottom: 0 }} placeholder="sk-ant-..." />
+              <button onClick={() => setShowTokens(s => ({...s, anthropic: !s.anthropic}))} style={{ padding: "9px 14px", border: "1.5px solid " + P.border, borderRadius: 8, background: P.cream, fontSize: 12, fontWeight: 600, color: P.textMuted, fontFamily: "inherit" }}>{showTokens.anthropic ? "Hide" : "Show"}</button>
+            </div>
+            <div style={S.helpBox}>
+              Create a key at <a href="https://console.anthropic.com/settings/keys" target="_blank" rel="noopener noreferrer" style={S.link}>console.anthropic.com</a>. This is the same key the command-line importers use.
+            </div>
+          </div>
+          )}
+
           {/* Google Vision */}
+          {form.ocrEngine === "google-vision" && (
           <div style={S.card}>
             <div style={{ display: "flex", gap: 12, alignItems: "flex-start", marginBottom: 16 }}>
               <span style={{ fontSize: 22 }}>👁️</span>
@@ -620,6 +2593,7 @@ function getHTML() {
               <p style={{ fontSize: 12, marginTop: 8, color: P.textMuted }}>Free tier: 1,000 images/month. ~$1.50/1000 after that.</p>
             </div>
           </div>
+          )}
 
           {/* Save Button */}
           <div style={{ marginTop: 24, display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
@@ -641,6 +2615,15 @@ function getHTML() {
       const [isConfigured, setIsConfigured] = useState(false);
       const [loadingConfig, setLoadingConfig] = useState(true);
 
+      const reloadEntries = useCallback(() => {
+        fetch("/api/entries")
+          .then(r => r.json())
+          .then(data => { if (Array.isArray(data)) setEntries(data); })
+          .catch(() => {});
+      }, []);
+
+      useEffect(() => { reloadEntries(); }, [reloadEntries]);
+
       useEffect(() => {
         fetch("/api/settings")
           .then(r => r.json())
@@ -662,7 +2645,7 @@ function getHTML() {
                 </div>
               </div>
               <nav style={{ display: "flex", gap: 4, background: P.cream, borderRadius: 10, padding: 3 }}>
-                {[{ id: "scan", label: "Scan", icon: "📷" }, { id: "entries", label: "Entries", icon: "📚" }, { id: "settings", label: "Settings", icon: "⚙️" }].map(tab => (
+                {[{ id: "scan", label: "Scan", icon: "📷" }, { id: "entries", label: "Entries", icon: "📚" }, { id: "calendar", label: "Calendar", icon: "📅" }, { id: "review", label: "Review", icon: "🗂️" }, { id: "settings", label: "Settings", icon: "⚙️" }].map(tab => (
                   <button key={tab.id} onClick={() => setActiveTab(tab.id)} style={{
                     padding: "7px 16px", border: "none", borderRadius: 8, cursor: "pointer", fontSize: 13, fontWeight: 500,
                     color: activeTab === tab.id ? P.accent : P.textMuted,
@@ -679,8 +2662,10 @@ function getHTML() {
 
           <main style={{ maxWidth: 960, margin: "0 auto", padding: "24px 24px 80px" }}>
             {!loadingConfig && !isConfigured && activeTab !== "settings" && <ConfigBanner onGo={() => setActiveTab("settings")} />}
-            {activeTab === "scan" && <ScanView isConfigured={isConfigured} entries={entries} setEntries={setEntries} />}
-            {activeTab === "entries" && <EntriesView entries={entries} />}
+            {activeTab === "scan" && <ScanView isConfigured={isConfigured} onEntriesChanged={reloadEntries} />}
+            {activeTab === "entries" && <EntriesView entries={entries} isConfigured={isConfigured} onEntriesChanged={reloadEntries} />}
+            {activeTab === "calendar" && <CalendarView />}
+            {activeTab === "review" && <ReviewView />}
             {activeTab === "settings" && <SettingsView isConfigured={isConfigured} onSettingsChanged={setIsConfigured} />}
           </main>
         </div>
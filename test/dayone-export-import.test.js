@@ -0,0 +1,105 @@
+// dayone-export-import.js against two exports of the same journal: the second
+// has one entry edited, one deleted and one new. The script keeps its state
+// and registry next to itself, so it runs from a copy in a temporary folder.
+const assert = require('assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const AdmZip = require('adm-zip');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+let dir;
+let vault;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dayone-export-test-'));
+  vault = path.join(dir, 'vault');
+  fs.copyFileSync(path.join(ROOT, 'dayone-export-import.js'), path.join(dir, 'dayone-export-import.js'));
+  fs.cpSync(path.join(ROOT, 'lib'), path.join(dir, 'lib'), { recursive: true });
+  fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  for (const name of ['dayone-export-1', 'dayone-export-2']) {
+    const zip = new AdmZip();
+    zip.addLocalFolder(path.join(FIXTURES, name));
+    zip.writeZip(path.join(dir, `${name}.zip`));
+  }
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function run(zip, ...flags) {
+  return execFileSync(process.execPath, ['dayone-export-import.js', `${zip}.zip`, '--vault', vault, ...flags], {
+    cwd: dir,
+    encoding: 'utf8',
+  });
+}
+
+const journalDir = () => path.join(vault, 'Personal', 'Journals');
+const read = (...parts) => fs.readFileSync(path.join(journalDir(), ...parts), 'utf8');
+const exists = (...parts) => fs.existsSync(path.join(vault, ...parts));
+
+test('--dry-run lists the new entries and writes nothing', () => {
+  const output = run('dayone-export-1', '--dry-run');
+  assert.match(output, /Read 3 entries from Journal/);
+  assert.equal(output.match(/^Would add: /gm).length, 3);
+  assert.equal(exists(), false);
+  assert.equal(fs.existsSync(path.join(dir, 'dayone-export-sync-state.json')), false);
+  assert.equal(fs.existsSync(path.join(dir, 'registry')), false);
+});
+
+test('the first export adds a note per entry, with its tags, place, weather and photo', () => {
+  run('dayone-export-1');
+
+  const hike = read('2024', '03 - March', '2024-03-01.md');
+  assert.match(hike, /^created: 2024-03-01T09:30:00-07:00$/m);
+  assert.match(hike, /^journal: Journal$/m);
+  assert.match(hike, /^location: Bridal Veil Falls, Provo, Utah, United States$/m);
+  assert.match(hike, /^latitude: 40.3384$/m);
+  assert.match(hike, /^longitude: -111.6023$/m);
+  assert.match(hike, /^weather: Partly Cloudy$/m);
+  assert.match(hike, /^temperature: 12.3$/m);
+  assert.match(hike, /^tags: \[journal, day-one, starred, family, hiking-trip\]$/m);
+  assert.match(hike, /!\[\[6ac8768b3747e9affdfe8dbfa71b16c1\.jpeg\]\]/);
+  assert.ok(exists('Attachments', 'Day One', '6ac8768b3747e9affdfe8dbfa71b16c1.jpeg'));
+
+  // Written after midnight UTC but still March 1st in Denver
+  assert.match(read('2024', '03 - March', '2024-03-01-2.md'), /Finished the book\./);
+  assert.match(read('2024', '03 - March', '2024-03-05.md'), /^tags: \[journal, day-one, draft\]$/m);
+});
+
+test('the same export again changes nothing', () => {
+  const hike = read('2024', '03 - March', '2024-03-01.md');
+  const output = run('dayone-export-1');
+  assert.doesNotMatch(output, /Added|Updated/);
+  assert.equal(read('2024', '03 - March', '2024-03-01.md'), hike);
+});
+
+test('--dry-run on the next export reports the edit, the new entry and the deletion', () => {
+  const output = run('dayone-export-2', '--dry-run', '--archive-deleted');
+  assert.match(output, /^Would add: 2024-03-07 /m);
+  assert.match(output, /^Would update: 2024-03-01 → .*2024-03-01-2\.md$/m);
+  assert.match(output, /^Would archive: 2024-03-05 → .*2024-03-05\.md$/m);
+  assert.match(read('2024', '03 - March', '2024-03-01-2.md'), /Finished the book\./);
+  assert.equal(exists('Personal', 'Journals', '2024', '03 - March', '2024-03-07.md'), false);
+  assert.equal(exists('Archive'), false);
+});
+
+test('the next export updates the edited note, adds the new one and archives the deleted one', () => {
+  run('dayone-export-2', '--archive-deleted');
+  assert.match(read('2024', '03 - March', '2024-03-01-2.md'), /and started the next one\./);
+  assert.match(read('2024', '03 - March', '2024-03-07.md'), /Back to work/);
+  assert.equal(exists('Personal', 'Journals', '2024', '03 - March', '2024-03-05.md'), false);
+  assert.ok(exists('Archive', 'Day One', '2024-03-05.md'));
+
+  const registry = JSON.parse(fs.readFileSync(path.join(dir, 'registry', 'dayone.json'), 'utf8'));
+  assert.deepEqual(Object.keys(registry.notes).sort(), [
+    'dayone:0A1B2C3D4E5F40718293A4B5C6D7E8F1',
+    'dayone:1B2C3D4E5F6A40718293A4B5C6D7E8F2',
+    'dayone:3D4E5F6A7B8C40718293A4B5C6D7E8F4',
+  ]);
+});
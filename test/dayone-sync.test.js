@@ -0,0 +1,92 @@
+// syncEntries(): which notes count as deleted, for state files of every age.
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, test } = require('node:test');
+const { syncEntries } = require('../lib/dayone');
+
+let dir;
+let stateFile;
+let options;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dayone-sync-test-'));
+  stateFile = path.join(dir, 'state.json');
+  options = {
+    stateFile,
+    registryFile: path.join(dir, 'registry.json'),
+    journalDir: path.join(dir, 'vault', 'Journals'),
+    attachmentsDir: path.join(dir, 'vault', 'Attachments'),
+    archiveDir: path.join(dir, 'vault', 'Archive'),
+  };
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function entry(uuid, date, journal) {
+  return { uuid, date, modified: `${date}T12:00:00Z`, text: `Entry ${uuid}`, journal };
+}
+
+// A note as an older version of the importers wrote it
+function writeNote(uuid, date) {
+  const notePath = path.join(options.journalDir, `${date}.md`);
+  fs.mkdirSync(options.journalDir, { recursive: true });
+  fs.writeFileSync(notePath, `---\ndate: ${date}\ndayone-id: ${uuid}\n---\n\nEntry ${uuid}\n`);
+  return notePath;
+}
+
+const deletedPaths = result => result.deleted.map(d => d.path);
+
+test('entries from a { syncedUUIDs } state file count as deleted once missing', async () => {
+  writeNote('KEPT', '2023-01-01');
+  const gone = writeNote('GONE', '2023-01-02');
+  fs.writeFileSync(stateFile, JSON.stringify({ syncedUUIDs: ['KEPT', 'GONE'] }));
+
+  const entries = [entry('KEPT', '2023-01-01', 'Journal')];
+  const result = await syncEntries(entries, { ...options, scopeToJournals: true });
+  assert.equal(result.unchanged, 1);
+  assert.deepEqual(deletedPaths(result), [gone]);
+});
+
+test('entries synced before journals were recorded count as deleted with scopeToJournals', async () => {
+  const gone = writeNote('GONE', '2023-01-02');
+  fs.writeFileSync(stateFile, JSON.stringify({
+    entries: { GONE: { modified: '2023-01-02T12:00:00Z', date: '2023-01-02', path: gone } },
+  }));
+
+  const result = await syncEntries([entry('NEW', '2023-01-03', 'Journal')], {
+    ...options, scopeToJournals: true, archiveDeleted: true,
+  });
+  assert.equal(result.added.length, 1);
+  assert.deepEqual(deletedPaths(result), [path.join(options.archiveDir, '2023-01-02.md')]);
+  assert.equal(fs.existsSync(gone), false);
+  assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).entries.GONE, undefined);
+});
+
+test('scopeToJournals leaves entries of journals missing from the export alone', async () => {
+  const travel = writeNote('TRIP', '2023-02-01');
+  fs.writeFileSync(stateFile, JSON.stringify({
+    entries: { TRIP: { modified: '2023-02-01T12:00:00Z', date: '2023-02-01', journal: 'Travel', path: travel } },
+  }));
+
+  const entries = [entry('HOME', '2023-02-02', 'Journal')];
+  const scoped = await syncEntries(entries, { ...options, scopeToJournals: true, dryRun: true });
+  assert.deepEqual(deletedPaths(scoped), []);
+
+  // The sqlite importer reads every journal, so a journal that is gone went with its entries
+  const everything = await syncEntries(entries, { ...options, dryRun: true });
+  assert.deepEqual(deletedPaths(everything), [travel]);
+});
+
+test('scopeToJournals still finds entries deleted from a journal in the export', async () => {
+  const entries = [entry('A', '2023-03-01', 'Journal'), entry('B', '2023-03-02', 'Journal')];
+  await syncEntries(entries, { ...options, scopeToJournals: true });
+  const [, b] = Object.values(JSON.parse(fs.readFileSync(stateFile, 'utf8')).entries);
+  assert.equal(b.journal, 'Journal');
+
+  const result = await syncEntries(entries.slice(0, 1), { ...options, scopeToJournals: true });
+  assert.deepEqual(deletedPaths(result), [b.path]);
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { flagValue } = require('./lib/cli');
+const { ROOT_DIR, expandHome, loadProfiles, resolveProfile } = require('./lib/profiles');
+const { loadRules, planChanges, lineDiff, applyChanges, listRuns, undoRun } = require('./lib/maintenance');
+
+// Runs the rules in vault-rules.json over notes already in the vault: links,
+// frontmatter tags and fields, folder layout (see lib/maintenance.js for the
+// rule format). Every run is logged to maintenance-log/ and can be undone.
+//
+//   node vault-maintain.js --dry-run    # show what would change, as a diff
+//   node vault-maintain.js
+//   node vault-maintain.js --undo       # put back what the last run changed
+//
+// ── Command line ───────────────────────────────────────────────────────────────
+// --rules <file>    rules file (default: vault-rules.json)
+// --vault <path>    vault root, instead of the one in the rules file
+// --dry-run         print the changes as a diff; change nothing
+// --undo [log]      undo the last run, or the run logged in maintenance-log/<log>
+// --runs            list logged runs
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const UNDO = process.argv.includes('--undo');
+const LIST_RUNS = process.argv.includes('--runs');
+
+// ── Configuration ──────────────────────────────────────────────────────────────
+const RULES_FILE = path.resolve(flagValue('rules', path.join(ROOT_DIR, 'vault-rules.json')));
+const LOG_DIR = path.join(ROOT_DIR, 'maintenance-log');
+
+// Registries whose note paths follow moved notes, so later imports still find them
+function registryFiles() {
+  const files = new Set([path.join(ROOT_DIR, 'registry', 'dayone.json')]);
+  for (const name of Object.keys(loadProfiles())) {
+    try {
+      files.add(resolveProfile(name).registryFile);
+    } catch {
+      // An incomplete profile has no notes to follow
+    }
+  }
+  return [...files];
+}
+
+// ── Main ───────────────────────────────────────────────────────────────────────
+
+function showRuns() {
+  const runs = listRuns(LOG_DIR);
+  if (runs.length === 0) {
+    console.log('No logged runs.');
+    return;
+  }
+  for (const run of runs) {
+    const undone = run.undoneAt ? ` (undone ${run.undoneAt})` : '';
+    console.log(`${path.basename(run.file)}  ${run.changes} change${run.changes === 1 ? '' : 's'}${undone}`);
+  }
+}
+
+function undo() {
+  const named = flagValue('undo', null);
+  const run = named
+    ? { file: path.resolve(LOG_DIR, named.endsWith('.json') ? named : `${named}.json`) }
+    : listRuns(LOG_DIR).find(r => !r.undoneAt);
+  if (!run) {
+    console.log('Nothing to undo.');
+    return;
+  }
+  if (!fs.existsSync(run.file)) throw new Error(`No logged run ${path.basename(run.file)} (see --runs).`);
+  const { restored, skipped } = undoRun(run.file, { registryFiles: registryFiles() });
+  console.log(`Undid ${path.basename(run.file)}: restored ${restored} note${restored === 1 ? '' : 's'}.`);
+  for (const { path: notePath, reason } of skipped) console.log(`  Left alone (${reason}): ${notePath}`);
+}
+
+function maintain() {
+  const config = loadRules(RULES_FILE);
+  const vault = path.resolve(expandHome(flagValue('vault', config.vault || '~/Documents/My Vault')));
+  const { changes, warnings } = planChanges(config, vault);
+  const inVault = p => path.relative(vault, p);
+
+  for (const change of changes) {
+    const moved = change.to !== change.from ? ` → ${inVault(change.to)}` : '';
+    console.log(`${DRY_RUN ? 'Would change' : 'Changed'}: ${inVault(change.from)}${moved}  (${change.rules.join(', ')})`);
+    if (DRY_RUN && change.before !== change.after) {
+      for (const line of lineDiff(change.before, change.after)) console.log(`    ${line}`);
+    }
+  }
+  for (const warning of warnings) console.log(`Warning: ${warning}`);
+
+  if (changes.length === 0) {
+    console.log(`Nothing to change in ${vault}.`);
+    return;
+  }
+  if (DRY_RUN) {
+    console.log(`\nDry run: ${changes.length} note${changes.length === 1 ? '' : 's'} would change. Nothing was changed.`);
+    return;
+  }
+  const logFile = applyChanges(changes, { logDir: LOG_DIR, vault, rulesFile: RULES_FILE, registryFiles: registryFiles() });
+  console.log(`\nDone. Changed ${changes.length} note${changes.length === 1 ? '' : 's'}. Undo with: node vault-maintain.js --undo ${path.basename(logFile, '.json')}`);
+}
+
+try {
+  if (LIST_RUNS) showRuns();
+  else if (UNDO) undo();
+  else maintain();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}